@@ -0,0 +1,539 @@
+#!/usr/bin/env node
+'use strict';
+
+const fs = require( 'fs' );
+const path = require( 'path' );
+const cssjanus = require( '../' );
+
+const usage = `Usage: cssjanus [options] [file|directory|glob ...]
+
+Convert left-to-right stylesheets to right-to-left.
+
+Without files, or with "-", reads a stylesheet from stdin and writes the
+result to stdout. Otherwise, writes each file next to its input (or in the
+output directory), named after the --name template. Directories are searched
+for .css files. Globs support *, ? and **; quote them to stop the shell from
+expanding them.
+
+Options:
+  -o, --out-dir <dir>   Write output files to this directory, keeping their
+                        path relative to the input directory or glob
+  -n, --name <template> Output file name, where [name] is the input file name
+                        without extension and [ext] is its extension
+                        (default: "[name].rtl[ext]")
+  --dir-in-url          Transform directions in URLs, such as ltr to rtl
+  --edge-in-url         Transform edges in URLs, such as left to right
+  --check               Don't write anything, but fail if an output file is
+                        missing or out of date
+  --lint                Don't write anything, but list declarations that can't
+                        be flipped reliably, and fail if there are any
+  -w, --watch           Transform the files again when they change
+  -h, --help            Show this help
+  -v, --version         Show the version number
+`;
+
+/**
+ * @param {string[]} args Command-line arguments
+ * @return {Object} Options, and the list of inputs
+ * @throws {Error} If an argument is invalid
+ */
+function parseArgs( args ) {
+	const options = {
+		outDir: null,
+		name: '[name].rtl[ext]',
+		transformDirInUrl: false,
+		transformEdgeInUrl: false,
+		check: false,
+		lint: false,
+		watch: false,
+		help: false,
+		version: false,
+		inputs: []
+	};
+	const values = {
+		'-o': 'outDir',
+		'--out-dir': 'outDir',
+		'-n': 'name',
+		'--name': 'name'
+	};
+	const flags = {
+		'--dir-in-url': 'transformDirInUrl',
+		'--edge-in-url': 'transformEdgeInUrl',
+		'--check': 'check',
+		'--lint': 'lint',
+		'-w': 'watch',
+		'--watch': 'watch',
+		'-h': 'help',
+		'--help': 'help',
+		'-v': 'version',
+		'--version': 'version'
+	};
+
+	for ( let i = 0; i < args.length; i++ ) {
+		const arg = args[ i ];
+		const eq = arg.indexOf( '=' );
+		const key = arg.startsWith( '--' ) && eq !== -1 ? arg.slice( 0, eq ) : arg;
+
+		if ( Object.prototype.hasOwnProperty.call( values, key ) ) {
+			const value = key !== arg ? arg.slice( eq + 1 ) : args[ ++i ];
+			if ( value === undefined || value === '' ) {
+				throw new Error( `Option ${ key } requires a value` );
+			}
+			options[ values[ key ] ] = value;
+		} else if ( Object.prototype.hasOwnProperty.call( flags, arg ) ) {
+			options[ flags[ arg ] ] = true;
+		} else if ( arg === '--' ) {
+			options.inputs.push( ...args.slice( i + 1 ) );
+			break;
+		} else if ( arg.startsWith( '-' ) && arg !== '-' ) {
+			throw new Error( `Unknown option ${ arg }` );
+		} else {
+			options.inputs.push( arg );
+		}
+	}
+	if ( !/\[name\]/.test( options.name ) ) {
+		throw new Error( 'The --name template must contain [name]' );
+	}
+	return options;
+}
+
+/**
+ * @param {Object} options Options, from #parseArgs
+ * @return {Object} Options for cssjanus.transform
+ */
+function getTransformOptions( options ) {
+	return {
+		transformDirInUrl: options.transformDirInUrl,
+		transformEdgeInUrl: options.transformEdgeInUrl
+	};
+}
+
+/**
+ * Whether a list of items matches a list of patterns, where the wildcard pattern matches any
+ * number of items.
+ *
+ * Results are memoized by position, so this takes at most (patterns × items) steps, even for
+ * patterns with many wildcards.
+ *
+ * @param {string|string[]} patterns
+ * @param {string|string[]} items
+ * @param {string} wildcard
+ * @param {Function} matchItem Whether a single pattern matches a single item
+ * @return {boolean}
+ */
+function matchList( patterns, items, wildcard, matchItem ) {
+	const memo = new Map();
+	const match = ( p, i ) => {
+		const key = p * ( items.length + 1 ) + i;
+		let result = memo.get( key );
+		if ( result !== undefined ) {
+			return result;
+		}
+		if ( p === patterns.length ) {
+			result = i === items.length;
+		} else if ( patterns[ p ] === wildcard ) {
+			result = match( p + 1, i ) || ( i < items.length && match( p, i + 1 ) );
+		} else {
+			result = i < items.length && matchItem( patterns[ p ], items[ i ] ) &&
+				match( p + 1, i + 1 );
+		}
+		memo.set( key, result );
+		return result;
+	};
+	return match( 0, 0 );
+}
+
+/**
+ * Whether a string matches a glob pattern for one path segment, with * and ?.
+ *
+ * @param {string} pattern
+ * @param {string} str
+ * @return {boolean}
+ */
+function matchSegment( pattern, str ) {
+	return matchList( pattern, str, '*', ( p, ch ) => p === '?' || p === ch );
+}
+
+/**
+ * Whether a relative path matches a glob pattern, with *, ? and **.
+ *
+ * @param {string[]} patterns Pattern segments
+ * @param {string[]} segments Path segments
+ * @return {boolean}
+ */
+function matchPath( patterns, segments ) {
+	return matchList( patterns, segments, '**', matchSegment );
+}
+
+/**
+ * List the files in a directory, recursively.
+ *
+ * @param {string} dir
+ * @return {string[]} Paths relative to the directory, with forward slashes
+ */
+function listFiles( dir ) {
+	const files = [];
+	for ( const name of fs.readdirSync( dir ) ) {
+		if ( name === 'node_modules' || name.startsWith( '.' ) ) {
+			continue;
+		}
+		const stat = fs.lstatSync( path.join( dir, name ) );
+		if ( stat.isDirectory() ) {
+			for ( const file of listFiles( path.join( dir, name ) ) ) {
+				files.push( name + '/' + file );
+			}
+		} else if ( stat.isFile() ) {
+			files.push( name );
+		}
+	}
+	return files.sort();
+}
+
+/**
+ * List a directory and its subdirectories, recursively.
+ *
+ * @param {string} dir
+ * @return {string[]} Paths of the directories
+ */
+function listDirs( dir ) {
+	const dirs = [ dir ];
+	for ( const name of fs.readdirSync( dir ) ) {
+		if ( name !== 'node_modules' && !name.startsWith( '.' ) &&
+			fs.lstatSync( path.join( dir, name ) ).isDirectory()
+		) {
+			dirs.push( ...listDirs( path.join( dir, name ) ) );
+		}
+	}
+	return dirs;
+}
+
+/**
+ * Create a directory, and the directories it is in if they are missing.
+ *
+ * @param {string} dir
+ */
+function makeDir( dir ) {
+	if ( !fs.existsSync( dir ) ) {
+		makeDir( path.dirname( dir ) );
+		fs.mkdirSync( dir );
+	}
+}
+
+/**
+ * Split an input argument into the directory to search and the glob pattern to match files
+ * in it with.
+ *
+ * @param {string} input File, directory or glob
+ * @return {Object} Directory (base), and the pattern segments (patterns), or null for a file
+ * @throws {Error} If the input doesn't exist
+ */
+function parseInput( input ) {
+	const patterns = input.split( /[\\/]/ );
+	const wildcard = patterns.findIndex( ( segment ) => /[*?]/.test( segment ) );
+	let stat;
+
+	if ( wildcard !== -1 ) {
+		return { base: patterns.splice( 0, wildcard ).join( '/' ) || '.', patterns };
+	}
+	try {
+		stat = fs.statSync( input );
+	} catch ( e ) {
+		throw new Error( `${ input }: No such file or directory` );
+	}
+	if ( !stat.isDirectory() ) {
+		return { base: path.dirname( input ), patterns: null };
+	}
+	return { base: input, patterns: [ '**', '*.css' ] };
+}
+
+/**
+ * Find the files for an input argument.
+ *
+ * @param {string} input File, directory or glob
+ * @return {Object[]} Files, each with the file path (file) and the directory it is relative to
+ *  for the output directory (base)
+ * @throws {Error} If the input doesn't exist
+ */
+function expandInput( input ) {
+	const { base, patterns } = parseInput( input );
+
+	if ( !patterns ) {
+		return [ { file: input, base } ];
+	}
+	if ( !fs.existsSync( base ) ) {
+		return [];
+	}
+	return listFiles( base )
+		.filter( ( file ) => matchPath( patterns, file.split( '/' ) ) )
+		.map( ( file ) => ( { file: path.join( base, file ), base } ) );
+}
+
+/**
+ * Get the output path of an input file.
+ *
+ * @param {Object} input Input, from #expandInput
+ * @param {Object} options Options, from #parseArgs
+ * @return {string}
+ */
+function getOutputPath( input, options ) {
+	const ext = path.extname( input.file );
+	const name = options.name
+		.replace( /\[name\]/g, path.basename( input.file, ext ) )
+		.replace( /\[ext\]/g, ext );
+	const dir = options.outDir ?
+		path.join( options.outDir, path.relative( input.base, path.dirname( input.file ) ) ) :
+		path.dirname( input.file );
+	return path.join( dir, name );
+}
+
+/**
+ * Find the files to transform, leaving out any outputs.
+ *
+ * @param {Object} options Options, from #parseArgs
+ * @return {Object[]} Files, each with an input and output path
+ */
+function findFiles( options ) {
+	const outputs = new Set();
+	const files = [];
+
+	for ( const input of options.inputs ) {
+		for ( const file of expandInput( input ) ) {
+			const output = getOutputPath( file, options );
+			if ( output !== path.normalize( file.file ) ) {
+				files.push( { input: path.normalize( file.file ), output } );
+				outputs.add( output );
+				// Outputs written next to the inputs before --out-dir was used
+				outputs.add( path.join( path.dirname( file.file ), path.basename( output ) ) );
+			}
+		}
+	}
+	// Don't transform the outputs of previous runs again
+	return files.filter( ( file, i ) => !outputs.has( file.input ) &&
+		files.findIndex( ( other ) => other.input === file.input ) === i
+	);
+}
+
+/**
+ * Transform a file.
+ *
+ * @param {Object} file File, from #findFiles
+ * @param {Object} options Options, from #parseArgs
+ * @return {boolean} Whether the output file is up to date, or was written
+ */
+function transformFile( file, options ) {
+	const input = fs.readFileSync( file.input, 'utf8' );
+	const css = cssjanus.transform( input, getTransformOptions( options ) );
+	let current = null;
+
+	try {
+		current = fs.readFileSync( file.output, 'utf8' );
+	} catch ( e ) {
+		// Missing output
+	}
+	if ( options.check ) {
+		if ( current !== css ) {
+			console.error( `${ file.output } is ${ current === null ? 'missing' : 'out of date' }` );
+			return false;
+		}
+		return true;
+	}
+	if ( current !== css ) {
+		makeDir( path.dirname( file.output ) );
+		fs.writeFileSync( file.output, css );
+		console.error( `${ file.input } → ${ file.output }` );
+	}
+	return true;
+}
+
+/**
+ * List the declarations in a stylesheet that can't be flipped reliably.
+ *
+ * @param {string} name File name, for the output
+ * @param {string} css
+ * @param {Object} options Options, from #parseArgs
+ * @return {boolean} Whether there were no problems
+ */
+function lint( name, css, options ) {
+	const problems = cssjanus.lint( css, getTransformOptions( options ) );
+	for ( const problem of problems ) {
+		console.log( `${ name }:${ problem.line }:${ problem.column }: ${ problem.reason } (${ problem.code })` );
+	}
+	return !problems.length;
+}
+
+/**
+ * Transform the files again when they change.
+ *
+ * The directories of the inputs are watched rather than the files, so that new files are
+ * found, and files that editors replace by renaming another file are still watched.
+ *
+ * @param {Object} options Options, from #parseArgs
+ */
+function watch( options ) {
+	const watchers = new Map();
+	const timers = new Map();
+
+	const update = ( file ) => {
+		let files;
+		try {
+			// Match the path again, as files come and go
+			files = findFiles( options );
+		} catch ( e ) {
+			console.error( `cssjanus: ${ e.message }` );
+			return;
+		}
+		file = files.find( ( other ) => other.input === file );
+		if ( !file || !fs.existsSync( file.input ) ) {
+			return;
+		}
+		try {
+			if ( options.lint ) {
+				lint( file.input, fs.readFileSync( file.input, 'utf8' ), options );
+			} else {
+				transformFile( file, options );
+			}
+		} catch ( e ) {
+			console.error( `${ file.input }: ${ e.message }` );
+		}
+	};
+
+	const watchDirs = ( initial ) => {
+		const dirs = new Set();
+		for ( const input of options.inputs ) {
+			try {
+				const { base, patterns } = parseInput( input );
+				if ( !patterns ) {
+					dirs.add( base );
+				} else if ( fs.existsSync( base ) ) {
+					listDirs( base ).forEach( ( dir ) => dirs.add( dir ) );
+				}
+			} catch ( e ) {
+				// Removed input
+			}
+		}
+		for ( const [ dir, watcher ] of watchers ) {
+			if ( !dirs.has( dir ) ) {
+				watcher.close();
+				watchers.delete( dir );
+			}
+		}
+		for ( const dir of dirs ) {
+			if ( watchers.has( dir ) ) {
+				continue;
+			}
+			const watcher = fs.watch( dir, ( event, name ) => {
+				const file = name ? path.join( dir, name.toString() ) : dir;
+				// Editors often write a file in several steps
+				clearTimeout( timers.get( file ) );
+				timers.set( file, setTimeout( () => {
+					timers.delete( file );
+					// Watch new directories too
+					watchDirs();
+					update( file );
+				}, 50 ) );
+			} );
+			watcher.on( 'error', () => {
+				watcher.close();
+				watchers.delete( dir );
+			} );
+			watchers.set( dir, watcher );
+			if ( !initial ) {
+				// Files may have been added before the directory was watched
+				fs.readdirSync( dir ).forEach( ( name ) => update( path.join( dir, name ) ) );
+			}
+		}
+	};
+
+	watchDirs( true );
+	console.error( `Watching ${ watchers.size } director${ watchers.size === 1 ? 'y' : 'ies' }…` );
+}
+
+/**
+ * Read all of stdin.
+ *
+ * @return {Promise<string>}
+ */
+function readStdin() {
+	return new Promise( ( resolve, reject ) => {
+		let data = '';
+		process.stdin.setEncoding( 'utf8' );
+		process.stdin.on( 'data', ( chunk ) => {
+			data += chunk;
+		} );
+		process.stdin.on( 'end', () => resolve( data ) );
+		process.stdin.on( 'error', reject );
+	} );
+}
+
+/**
+ * @param {string[]} args Command-line arguments
+ * @return {Promise<number>} Exit code
+ */
+async function main( args ) {
+	let options;
+	try {
+		options = parseArgs( args );
+	} catch ( e ) {
+		console.error( `cssjanus: ${ e.message }\n\n${ usage }` );
+		return 2;
+	}
+	if ( options.help ) {
+		console.log( usage );
+		return 0;
+	}
+	if ( options.version ) {
+		console.log( require( '../package.json' ).version );
+		return 0;
+	}
+
+	if ( !options.inputs.length || ( options.inputs.length === 1 && options.inputs[ 0 ] === '-' ) ) {
+		if ( options.check || options.watch ) {
+			console.error( 'cssjanus: --check and --watch need input files' );
+			return 2;
+		}
+		const css = await readStdin();
+		if ( options.lint ) {
+			return lint( '<stdin>', css, options ) ? 0 : 1;
+		}
+		process.stdout.write( cssjanus.transform( css, getTransformOptions( options ) ) );
+		return 0;
+	}
+
+	let files;
+	try {
+		files = findFiles( options );
+	} catch ( e ) {
+		console.error( `cssjanus: ${ e.message }` );
+		return 1;
+	}
+	if ( !files.length ) {
+		console.error( 'cssjanus: No input files found' );
+		return 1;
+	}
+
+	let status = 0;
+	for ( const file of files ) {
+		try {
+			if ( options.lint ?
+				!lint( file.input, fs.readFileSync( file.input, 'utf8' ), options ) :
+				!transformFile( file, options )
+			) {
+				status = 1;
+			}
+		} catch ( e ) {
+			console.error( `${ file.input }: ${ e.message }` );
+			status = 1;
+		}
+	}
+	if ( options.watch ) {
+		watch( options );
+	}
+	return status;
+}
+
+main( process.argv.slice( 2 ) ).then( ( status ) => {
+	process.exitCode = status;
+} ).catch( ( err ) => {
+	console.error( err.message );
+	process.exitCode = 1;
+} );
@@ -30,8 +30,9 @@ var cssjanus;
  * @constructor
  * @param {RegExp} regex Regular expression whose matches to replace by a token
  * @param {string} token Placeholder text
+ * @param {Function} [filter] Function that returns false for matches to leave alone
  */
-function Tokenizer( regex, token ) {
+function Tokenizer( regex, token, filter ) {
 
 	var matches = [],
 		index = 0;
@@ -44,6 +45,9 @@ function Tokenizer( regex, token ) {
 	 * @return {string} Token to leave in the matched string's place
 	 */
 	function tokenizeCallback( match ) {
+		if ( filter && !filter( match ) ) {
+			return match;
+		}
 		matches.push( match );
 		return token;
 	}
@@ -63,22 +67,900 @@ function Tokenizer( regex, token ) {
 		 * Replace matching strings with tokens.
 		 *
 		 * @param {string} str String to tokenize
+		 * @param {ChangeTracker} [tracker] Tracker to record the changes with
 		 * @return {string} Tokenized string
 		 */
-		tokenize: function ( str ) {
-			return str.replace( regex, tokenizeCallback );
+		tokenize: function ( str, tracker ) {
+			return tracker ?
+				tracker.replace( regex, tokenizeCallback ) :
+				str.replace( regex, tokenizeCallback );
 		},
 
 		/**
 		 * Restores tokens to their original values.
 		 *
 		 * @param {string} str String previously run through tokenize()
+		 * @param {ChangeTracker} [tracker] Tracker to record the changes with
 		 * @return {string} Original string
 		 */
-		detokenize: function ( str ) {
-			return str.replace( new RegExp( '(' + token + ')', 'g' ), detokenizeCallback );
+		detokenize: function ( str, tracker ) {
+			var tokenRegExp = new RegExp( '(' + token + ')', 'g' );
+			return tracker ?
+				tracker.replace( tokenRegExp, detokenizeCallback ) :
+				str.replace( tokenRegExp, detokenizeCallback );
+		}
+	};
+}
+
+/**
+ * Create a change tracker object.
+ *
+ * This utility class is used by CSSJanus to remember where each part of a transformed stylesheet
+ * came from in the original stylesheet, so that a source map can be generated for it.
+ *
+ * The transformed string is kept as a list of pieces. Each piece covers a range of the original
+ * string. Unchanged pieces hold the exact text of their range, changed pieces hold replacement
+ * text for their range and the name of the rule that changed it.
+ *
+ * @class
+ * @constructor
+ * @param {string} source Original string
+ */
+function ChangeTracker( source ) {
+
+	var current = source,
+		pieces = [ { text: source, start: 0, end: source.length, changed: false } ],
+		boundaryRegExp = /[\s,;:(){}/!'"`]/;
+
+	/**
+	 * Check whether there is a token boundary at a given position of a string.
+	 *
+	 * @private
+	 * @param {string} str
+	 * @param {number} index Position between two characters
+	 * @return {boolean}
+	 */
+	function isBoundary( str, index ) {
+		return index === 0 || index === str.length ||
+			boundaryRegExp.test( str[ index - 1 ] ) || boundaryRegExp.test( str[ index ] ) ||
+			// Word separators in names, like "arrow-left.png", but not signs or decimal points
+			/[a-z][-.]|[-.][a-z]/i.test( str.slice( index - 1, index + 1 ) );
+	}
+
+	/**
+	 * Expand "$n", "$&" and "$$" patterns in a replacement string.
+	 *
+	 * @private
+	 * @param {string} template Replacement string
+	 * @param {Array} groups Matched string, followed by the matched groups
+	 * @return {string} Replacement text
+	 */
+	function expandReplacement( template, groups ) {
+		return template.replace( /\$(\$|&|\d\d?)/g, function ( pattern, ref ) {
+			var index;
+			if ( ref === '$' ) {
+				return '$';
+			}
+			if ( ref === '&' ) {
+				return groups[ 0 ];
+			}
+			index = parseInt( ref, 10 );
+			if ( index > 0 && index < groups.length ) {
+				return groups[ index ] || '';
+			}
+			// Two-digit reference to a group that doesn't exist, try one digit
+			index = parseInt( ref[ 0 ], 10 );
+			if ( ref.length === 2 && index > 0 && index < groups.length ) {
+				return ( groups[ index ] || '' ) + ref[ 1 ];
+			}
+			return pattern;
+		} );
+	}
+
+	/**
+	 * Narrow a replacement down to the tokens that actually differ.
+	 *
+	 * @private
+	 * @param {number} offset Position of the match in the current string
+	 * @param {string} match Matched string
+	 * @param {string} text Replacement text
+	 * @return {Object|null} Edit with start, end and text; or null if nothing changed
+	 */
+	function createEdit( offset, match, text ) {
+		var prefix = 0,
+			suffix = 0,
+			max = Math.min( match.length, text.length );
+
+		if ( match === text ) {
+			return null;
+		}
+		while ( prefix < max && match[ prefix ] === text[ prefix ] ) {
+			prefix++;
+		}
+		while ( prefix > 0 && !isBoundary( match, prefix ) ) {
+			prefix--;
+		}
+		while ( suffix < max - prefix &&
+			match[ match.length - suffix - 1 ] === text[ text.length - suffix - 1 ]
+		) {
+			suffix++;
+		}
+		while ( suffix > 0 && !isBoundary( match, match.length - suffix ) ) {
+			suffix--;
+		}
+		return {
+			start: offset + prefix,
+			end: offset + match.length - suffix,
+			text: text.slice( prefix, text.length - suffix )
+		};
+	}
+
+	/**
+	 * Create a piece, which is unchanged if its text matches the original text of its range.
+	 *
+	 * @private
+	 * @param {string} text
+	 * @param {number} start
+	 * @param {number} end
+	 * @param {string|null} [rule] Name of the rule that changed the text
+	 * @return {Object} Piece
+	 */
+	function createPiece( text, start, end, rule ) {
+		var changed = text !== source.slice( start, end );
+		return {
+			text: text,
+			start: start,
+			end: end,
+			changed: changed,
+			rule: changed && rule || null
+		};
+	}
+
+	/**
+	 * Apply a list of edits to the pieces.
+	 *
+	 * Edits must be sorted and must not overlap. Their positions refer to the current string.
+	 * Changed pieces can't be split, so an edit that touches one absorbs all of it. Without a
+	 * rule name, the edit keeps the rule name of the changed pieces it absorbs.
+	 *
+	 * @private
+	 * @param {Object[]} edits List of edits, each with start, end, text and optionally rule
+	 * @param {string} [rule] Name of the rule that made the edits
+	 */
+	function applyEdits( edits, rule ) {
+		var result = [],
+			i = 0,
+			pos = 0,
+			e, edit, piece, start, end, text, origStart, origEnd, editRule;
+
+		for ( e = 0; e < edits.length; e++ ) {
+			edit = edits[ e ];
+			start = edit.start;
+			end = edit.end;
+			text = edit.text;
+			origStart = origEnd = null;
+			editRule = edit.rule || rule || null;
+
+			// Keep pieces before the edit
+			while ( i < pieces.length && pos + pieces[ i ].text.length <= start ) {
+				result.push( pieces[ i ] );
+				pos += pieces[ i ].text.length;
+				i++;
+			}
+
+			// Split or absorb the piece the edit starts in
+			if ( i < pieces.length && pos < start ) {
+				piece = pieces[ i ];
+				if ( piece.changed ) {
+					text = piece.text.slice( 0, start - pos ) + text;
+					start = pos;
+					editRule = editRule || piece.rule;
+				} else {
+					result.push( createPiece(
+						piece.text.slice( 0, start - pos ),
+						piece.start,
+						piece.start + start - pos
+					) );
+					pieces[ i ] = createPiece(
+						piece.text.slice( start - pos ),
+						piece.start + start - pos,
+						piece.end
+					);
+					pos = start;
+				}
+			}
+
+			// Absorb pieces covered by the edit
+			while ( i < pieces.length && pos < end ) {
+				piece = pieces[ i ];
+				editRule = editRule || piece.rule;
+				if ( pos + piece.text.length > end ) {
+					if ( piece.changed ) {
+						text += piece.text.slice( end - pos );
+						end = pos + piece.text.length;
+					} else {
+						pieces[ i ] = createPiece(
+							piece.text.slice( end - pos ),
+							piece.start + end - pos,
+							piece.end
+						);
+						piece = createPiece(
+							piece.text.slice( 0, end - pos ),
+							piece.start,
+							piece.start + end - pos
+						);
+						i--;
+					}
+				}
+				origStart = origStart === null ? piece.start : Math.min( origStart, piece.start );
+				origEnd = origEnd === null ? piece.end : Math.max( origEnd, piece.end );
+				pos += piece.text.length;
+				i++;
+			}
+
+			if ( origStart === null ) {
+				// Insertion
+				origStart = origEnd = i < pieces.length ?
+					pieces[ i ].start :
+					( result.length ? result[ result.length - 1 ].end : 0 );
+			}
+			result.push( createPiece( text, origStart, origEnd, editRule ) );
+		}
+
+		pieces = result.concat( pieces.slice( i ) );
+	}
+
+	return {
+		/**
+		 * Replace matches in the current string, and record the changes.
+		 *
+		 * @param {RegExp|string} pattern Pattern as for String#replace
+		 * @param {string|Function} replacement Replacement as for String#replace
+		 * @param {string} [rule] Name of the rule making the replacement
+		 * @return {string} New current string
+		 */
+		replace: function ( pattern, replacement, rule ) {
+			var edits = [];
+			current = current.replace( pattern, function () {
+				var args = [].slice.call( arguments ),
+					// Named groups add an object argument at the end
+					extra = typeof args[ args.length - 1 ] === 'object' ? 3 : 2,
+					offset = args[ args.length - extra ],
+					text = typeof replacement === 'function' ?
+						replacement.apply( null, args ) :
+						expandReplacement( replacement, args.slice( 0, args.length - extra ) ),
+					edit = createEdit( offset, args[ 0 ], text );
+
+				if ( edit ) {
+					edits.push( edit );
+				}
+				return text;
+			} );
+			applyEdits( edits, rule );
+			return current;
+		},
+
+		/**
+		 * Replace ranges of the current string, and record the changes.
+		 *
+		 * @param {Object[]} edits Sorted list of edits, each with start and end positions in
+		 *  the current string, the replacement text, and optionally a rule name
+		 * @return {string} New current string
+		 */
+		edit: function ( edits ) {
+			current = spliceEdits( current, edits );
+			applyEdits( edits );
+			return current;
+		},
+
+		/**
+		 * Get the pieces of the current string.
+		 *
+		 * Adjacent unchanged pieces are merged.
+		 *
+		 * @return {Object[]} List of pieces, each with text, start, end, changed and rule
+		 *  properties
+		 */
+		getPieces: function () {
+			return pieces.reduce( function ( result, piece ) {
+				var last = result[ result.length - 1 ];
+				if ( last && !last.changed && !piece.changed && last.end === piece.start ) {
+					result[ result.length - 1 ] = createPiece(
+						last.text + piece.text,
+						last.start,
+						piece.end
+					);
+				} else {
+					result.push( piece );
+				}
+				return result;
+			}, [] );
+		}
+	};
+}
+
+/**
+ * Parse a stylesheet into a tree of rules, at-rules, declarations and comments.
+ *
+ * This follows the parsing model of CSS Syntax Level 3 and CSS Nesting, but only as far as
+ * CSSJanus needs. Every node has a start and end offset into the stylesheet, so the stylesheet
+ * can be rebuilt exactly. Nodes have one of the following types:
+ *
+ * - comment
+ * - declaration: With a property and a value. The end offset excludes the semicolon.
+ * - rule: With a prelude (the selector) and child nodes.
+ * - atrule: With a name, a prelude, and child nodes (or null for statements like @import).
+ *
+ * Declarations and rules can be mixed in any block, including at the top level.
+ *
+ * @private
+ * @param {string} css Stylesheet
+ * @return {Object[]} List of nodes
+ */
+function parseStylesheet( css ) {
+	var pos = 0,
+		nameCharRegExp = /[-\w\\]/;
+
+	/**
+	 * Find the end of the token that starts at a given position.
+	 *
+	 * Comments, strings, escapes and unquoted URLs are skipped as a whole.
+	 *
+	 * @private
+	 * @param {number} i Position
+	 * @return {number} Position after the token
+	 */
+	function skip( i ) {
+		var ch = css[ i ],
+			end, j;
+
+		if ( ch === '/' && css[ i + 1 ] === '*' ) {
+			end = css.indexOf( '*/', i + 2 );
+			return end === -1 ? css.length : end + 2;
+		}
+		if ( ch === '"' || ch === '\'' ) {
+			for ( i++; i < css.length && css[ i ] !== ch && css[ i ] !== '\n'; i++ ) {
+				if ( css[ i ] === '\\' ) {
+					i++;
+				}
+			}
+			return Math.min( i + 1, css.length );
+		}
+		if ( ch === '\\' ) {
+			return Math.min( i + 2, css.length );
+		}
+		if ( css.slice( i, i + 4 ).toLowerCase() === 'url(' &&
+			!nameCharRegExp.test( css[ i - 1 ] || '' )
+		) {
+			for ( j = i + 4; /\s/.test( css[ j ] || '' ); j++ ) {
+				// Skip whitespace
+			}
+			if ( css[ j ] === '"' || css[ j ] === '\'' ) {
+				// Quoted URLs are regular functions
+				return i + 1;
+			}
+			for ( i = j; i < css.length && css[ i ] !== ')'; i++ ) {
+				if ( css[ i ] === '\\' ) {
+					i++;
+				}
+			}
+			return Math.min( i + 1, css.length );
+		}
+		return i + 1;
+	}
+
+	/**
+	 * Find the first of a set of characters, outside of comments, strings and brackets.
+	 *
+	 * @private
+	 * @param {number} i Position to start at
+	 * @param {string} chars Characters to look for
+	 * @param {boolean} [braces=false] Whether to skip over {} blocks too
+	 * @return {number} Position of the character, or the length of the stylesheet
+	 */
+	function find( i, chars, braces ) {
+		var depth = 0,
+			ch;
+
+		while ( i < css.length ) {
+			ch = css[ i ];
+			if ( depth === 0 && chars.indexOf( ch ) !== -1 ) {
+				return i;
+			}
+			if ( ch === '(' || ch === '[' || ( braces && ch === '{' ) ) {
+				depth++;
+			} else if ( depth > 0 && ( ch === ')' || ch === ']' || ( braces && ch === '}' ) ) ) {
+				depth--;
+			}
+			i = skip( i );
+		}
+		return i;
+	}
+
+	/**
+	 * Create a declaration node.
+	 *
+	 * @private
+	 * @param {number} start
+	 * @param {number} end
+	 * @return {Object}
+	 */
+	function createDeclaration( start, end ) {
+		var text = css.slice( start, end ),
+			colon = text.indexOf( ':' );
+
+		return {
+			type: 'declaration',
+			start: start,
+			end: end,
+			property: colon === -1 ? '' : text.slice( 0, colon ).trim(),
+			value: colon === -1 ? text.trim() : text.slice( colon + 1 ).trim()
+		};
+	}
+
+	/**
+	 * Parse the stylesheet.
+	 *
+	 * Blocks are parsed with a stack instead of recursion, so that deeply nested blocks don't
+	 * exhaust the call stack.
+	 *
+	 * @private
+	 * @return {Object[]} List of nodes
+	 */
+	function parseBlocks() {
+		var root = [],
+			nodes = root,
+			// Rules and at-rules whose blocks are open, with the lists of nodes they are in
+			stack = [],
+			start, stop, node, name, open;
+
+		while ( pos < css.length ) {
+			start = pos;
+			node = null;
+			if ( /[\s;]/.test( css[ pos ] ) ) {
+				pos++;
+			} else if ( css[ pos ] === '}' ) {
+				pos++;
+				if ( stack.length ) {
+					open = stack.pop();
+					open.node.end = pos;
+					nodes = open.nodes;
+				}
+				// Else it's a stray closing brace
+			} else if ( css[ pos ] === '/' && css[ pos + 1 ] === '*' ) {
+				pos = skip( pos );
+				nodes.push( { type: 'comment', start: start, end: pos } );
+			} else if ( css[ pos ] === '@' ) {
+				stop = find( pos, ';{}' );
+				name = /^@[-\w]*/.exec( css.slice( pos, stop ) )[ 0 ];
+				node = {
+					type: 'atrule',
+					start: start,
+					end: stop,
+					name: name.slice( 1 ).toLowerCase(),
+					prelude: css.slice( pos + name.length, stop ).trim(),
+					children: null
+				};
+				pos = stop;
+				if ( css[ pos ] === ';' ) {
+					pos++;
+				}
+				node.end = pos;
+				nodes.push( node );
+			} else {
+				stop = find( pos, ';{}' );
+				if ( /^--[^:]*:/.test( css.slice( start, stop ) ) ) {
+					// Custom properties may contain blocks
+					pos = find( pos, ';}', true );
+					nodes.push( createDeclaration( start, pos ) );
+				} else if ( css[ stop ] === '{' ) {
+					node = {
+						type: 'rule',
+						start: start,
+						end: stop,
+						prelude: css.slice( start, stop ).trim(),
+						children: null
+					};
+					pos = stop;
+					nodes.push( node );
+				} else {
+					pos = stop;
+					nodes.push( createDeclaration( start, stop ) );
+				}
+			}
+			if ( node && css[ pos ] === '{' ) {
+				// Parse the block, and continue with the parent block after it
+				pos++;
+				node.children = [];
+				stack.push( { node: node, nodes: nodes } );
+				nodes = node.children;
+			}
+		}
+		// Close the blocks that are still open at the end of the stylesheet
+		stack.forEach( function ( item ) {
+			item.node.end = css.length;
+		} );
+		return root;
+	}
+
+	return parseBlocks();
+}
+
+/**
+ * Create a splitter object.
+ *
+ * This utility class is used by CSSJanus to split a stylesheet that arrives in chunks into parts
+ * that can be transformed on their own. Parts end after a top-level closing brace, outside of
+ * comments, strings, brackets and @noflip-start ranges, so that a @noflip comment always stays
+ * with the rule it protects. It also notes @flip-only comments, which change how the whole
+ * stylesheet is transformed.
+ *
+ * @class
+ * @constructor
+ * @param {number} minLength Minimum length of a part
+ */
+function Splitter( minLength ) {
+	var buffer = '',
+		// Scanning state
+		pos = 0,
+		depth = 0,
+		parens = 0,
+		comment = false,
+		commentStart = 0,
+		range = false,
+		flipOnly = false,
+		quote = null,
+		// End of the last part that can be split off
+		boundary = 0;
+
+	/**
+	 * Scan the buffer up to its last character, which may start a two-character sequence.
+	 *
+	 * @private
+	 */
+	function scan() {
+		var ch;
+		for ( ; pos < buffer.length - 1; pos++ ) {
+			ch = buffer[ pos ];
+			if ( comment ) {
+				if ( ch === '*' && buffer[ pos + 1 ] === '/' ) {
+					comment = false;
+					pos++;
+					if ( /^\/\*!?\s*@noflip-start\s*\*\/$/i.test( buffer.slice( commentStart, pos + 1 ) ) ) {
+						range = true;
+					} else if ( /^\/\*!?\s*@noflip-end\s*\*\/$/i.test( buffer.slice( commentStart, pos + 1 ) ) ) {
+						range = false;
+					} else if ( /^\/\*!?\s*@flip-only\s*\*\/$/i.test( buffer.slice( commentStart, pos + 1 ) ) ) {
+						flipOnly = true;
+					}
+				}
+			} else if ( ch === '\\' ) {
+				pos++;
+			} else if ( quote ) {
+				if ( ch === quote ) {
+					quote = null;
+				}
+			} else if ( ch === '/' && buffer[ pos + 1 ] === '*' ) {
+				comment = true;
+				commentStart = pos;
+				pos++;
+			} else if ( ch === '"' || ch === '\'' ) {
+				quote = ch;
+			} else if ( ch === '(' ) {
+				parens++;
+			} else if ( ch === ')' ) {
+				parens = Math.max( parens - 1, 0 );
+			} else if ( parens === 0 && ch === '{' ) {
+				depth++;
+			} else if ( parens === 0 && ch === '}' ) {
+				depth = Math.max( depth - 1, 0 );
+				if ( depth === 0 && !range ) {
+					boundary = pos + 1;
+				}
+			}
+		}
+	}
+
+	return {
+		/**
+		 * Add a chunk of the stylesheet.
+		 *
+		 * @param {string} chunk
+		 * @return {string|null} Part that can be transformed, if there is one
+		 */
+		push: function ( chunk ) {
+			var part;
+
+			buffer += chunk;
+			scan();
+			if ( boundary < minLength ) {
+				return null;
+			}
+			part = buffer.slice( 0, boundary );
+			buffer = buffer.slice( boundary );
+			pos -= boundary;
+			commentStart -= boundary;
+			boundary = 0;
+			return part;
+		},
+
+		/**
+		 * Check whether a @flip-only comment has been found so far.
+		 *
+		 * @return {boolean}
+		 */
+		hasFlipOnly: function () {
+			return flipOnly;
+		},
+
+		/**
+		 * Get the rest of the stylesheet, after the last chunk.
+		 *
+		 * @return {string}
+		 */
+		end: function () {
+			var rest = buffer;
+			buffer = '';
+			pos = depth = parens = commentStart = boundary = 0;
+			comment = range = flipOnly = false;
+			quote = null;
+			return rest;
+		}
+	};
+}
+
+/**
+ * Replace ranges of a string.
+ *
+ * @private
+ * @param {string} str
+ * @param {Object[]} edits Sorted list of edits, each with start and end positions, and the
+ *  replacement text
+ * @return {string}
+ */
+function spliceEdits( str, edits ) {
+	var result = '',
+		pos = 0;
+
+	edits.forEach( function ( edit ) {
+		result += str.slice( pos, edit.start ) + edit.text;
+		pos = edit.end;
+	} );
+	return result + str.slice( pos );
+}
+
+/**
+ * Create a function that finds the line and column of an offset in a string.
+ *
+ * @private
+ * @param {string} str
+ * @return {Function} Function that takes an offset and returns an array with the line and
+ *  column, both zero-based
+ */
+function createLocator( str ) {
+	var lineStarts = [ 0 ],
+		i;
+
+	for ( i = 0; i < str.length; i++ ) {
+		if ( str[ i ] === '\n' ) {
+			lineStarts.push( i + 1 );
+		}
+	}
+
+	return function ( offset ) {
+		var low = 0,
+			high = lineStarts.length - 1,
+			mid;
+
+		while ( low < high ) {
+			mid = Math.ceil( ( low + high ) / 2 );
+			if ( lineStarts[ mid ] <= offset ) {
+				low = mid;
+			} else {
+				high = mid - 1;
+			}
+		}
+		return [ low, offset - lineStarts[ low ] ];
+	};
+}
+
+/**
+ * Encode a number as a Base64 VLQ, as used in source maps.
+ *
+ * @private
+ * @param {number} value
+ * @return {string}
+ */
+function encodeVlq( value ) {
+	var chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/',
+		// The sign is stored in the least significant bit
+		vlq = value < 0 ? -value * 2 + 1 : value * 2,
+		result = '',
+		digit;
+
+	do {
+		digit = vlq % 32;
+		vlq = Math.floor( vlq / 32 );
+		if ( vlq > 0 ) {
+			// Continuation bit
+			digit += 32;
+		}
+		result += chars[ digit ];
+	} while ( vlq > 0 );
+
+	return result;
+}
+
+/**
+ * Decode the mappings of a source map.
+ *
+ * @private
+ * @param {string} mappings Encoded mappings
+ * @return {Array[]} For each generated line, a list of segments. Each segment is an array
+ *  of generated column, source index, original line, original column and name index.
+ */
+function decodeMappings( mappings ) {
+	var chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/',
+		lines = [],
+		state = [ 0, 0, 0, 0, 0 ];
+
+	mappings.split( ';' ).forEach( function ( line ) {
+		var segments = [];
+		state[ 0 ] = 0;
+		line.split( ',' ).forEach( function ( str ) {
+			var segment = [],
+				value = 0,
+				factor = 1,
+				i, digit;
+
+			for ( i = 0; i < str.length; i++ ) {
+				digit = chars.indexOf( str[ i ] );
+				value += ( digit % 32 ) * factor;
+				if ( digit >= 32 ) {
+					// Continuation bit
+					factor *= 32;
+				} else {
+					state[ segment.length ] += value % 2 ? -( value - 1 ) / 2 : value / 2;
+					segment.push( state[ segment.length ] );
+					value = 0;
+					factor = 1;
+				}
+			}
+			if ( segment.length ) {
+				segments.push( segment );
+			}
+		} );
+		lines.push( segments );
+	} );
+
+	return lines;
+}
+
+/**
+ * Generate a source map for a transformed stylesheet.
+ *
+ * @private
+ * @param {Object[]} pieces Pieces from ChangeTracker#getPieces
+ * @param {string} source Original stylesheet
+ * @param {Object} options
+ * @param {Object|string} [options.inputSourceMap] Source map of the original stylesheet
+ * @param {string} [options.sourceFileName='input.css'] Name of the original stylesheet
+ * @return {Object} Source map (version 3)
+ */
+function generateSourceMap( pieces, source, options ) {
+	var inputMap = typeof options.inputSourceMap === 'string' ?
+			JSON.parse( options.inputSourceMap ) :
+			options.inputSourceMap,
+		inputLines = inputMap ? decodeMappings( inputMap.mappings ) : null,
+		locate = createLocator( source ),
+		mappings = '',
+		line = 0,
+		column = 0,
+		previous = [ 0, 0, 0, 0, 0 ],
+		lastLine = -1,
+		lastColumn = -1,
+		map;
+
+	/**
+	 * Find the original position of an offset in the source.
+	 *
+	 * @private
+	 * @param {number} offset
+	 * @return {Array|null} Source index, line, column and optionally name index
+	 */
+	function originalPosition( offset ) {
+		var pos = locate( offset ),
+			segments, segment, j;
+
+		if ( !inputLines ) {
+			return [ 0, pos[ 0 ], pos[ 1 ] ];
 		}
+
+		// Compose with the input source map
+		segments = inputLines[ pos[ 0 ] ] || [];
+		for ( j = segments.length - 1; j >= 0; j-- ) {
+			if ( segments[ j ][ 0 ] <= pos[ 1 ] ) {
+				segment = segments[ j ];
+				break;
+			}
+		}
+		if ( !segment || segment.length < 4 ) {
+			return null;
+		}
+		return segment.slice( 1 );
+	}
+
+	/**
+	 * Add a segment for the current generated position.
+	 *
+	 * @private
+	 * @param {number} offset Original offset
+	 */
+	function addSegment( offset ) {
+		var pos = originalPosition( offset ),
+			k;
+
+		if ( !pos || ( line === lastLine && column === lastColumn ) ) {
+			return;
+		}
+		while ( lastLine < line ) {
+			if ( lastLine !== -1 ) {
+				mappings += ';';
+			}
+			lastLine = lastLine === -1 ? 0 : lastLine + 1;
+			previous[ 0 ] = 0;
+			lastColumn = -1;
+		}
+		if ( lastColumn !== -1 ) {
+			mappings += ',';
+		}
+		mappings += encodeVlq( column - previous[ 0 ] );
+		previous[ 0 ] = column;
+		for ( k = 0; k < pos.length; k++ ) {
+			mappings += encodeVlq( pos[ k ] - previous[ k + 1 ] );
+			previous[ k + 1 ] = pos[ k ];
+		}
+		lastColumn = column;
+	}
+
+	pieces.forEach( function ( piece ) {
+		var text = piece.text,
+			j;
+
+		if ( text.length ) {
+			addSegment( piece.start );
+		}
+		for ( j = 0; j < text.length; j++ ) {
+			if ( text[ j ] === '\n' ) {
+				line++;
+				column = 0;
+				if ( j + 1 < text.length ) {
+					addSegment( piece.changed ? piece.start : piece.start + j + 1 );
+				}
+			} else {
+				column++;
+			}
+		}
+	} );
+
+	map = {
+		version: 3,
+		sources: inputMap ? inputMap.sources : [ options.sourceFileName || 'input.css' ],
+		names: inputMap && inputMap.names || [],
+		mappings: mappings
 	};
+	if ( inputMap ) {
+		if ( inputMap.sourceRoot ) {
+			map.sourceRoot = inputMap.sourceRoot;
+		}
+		if ( inputMap.sourcesContent ) {
+			map.sourcesContent = inputMap.sourcesContent;
+		}
+	} else {
+		map.sourcesContent = [ source ];
+	}
+
+	return map;
 }
 
 /**
@@ -101,31 +983,36 @@ function CSSJanus() {
 		noFlipSingleToken = '`NOFLIP_SINGLE`',
 		noFlipClassToken = '`NOFLIP_CLASS`',
 		commentToken = '`COMMENT`',
+		noFlipRangeToken = '`NOFLIP_RANGE`',
+		noFlipOtherToken = '`NOFLIP_OTHER`',
+		rtlToken = '`RTL`',
 		// Patterns
 		nonAsciiPattern = '[^\\u0020-\\u007e]',
 		unicodePattern = '(?:(?:\\\\[0-9a-f]{1,6})(?:\\r\\n|\\s)?)',
 		numPattern = '(?:[0-9]*\\.[0-9]+|[0-9]+)',
-		unitPattern = '(?:em|ex|px|cm|mm|in|pt|pc|deg|rad|grad|ms|s|hz|khz|%)',
+		unitPattern = '(?:r?em|r?ex|r?ch|r?ic|r?cap|r?lh|[sld]?v(?:w|h|i|b|min|max)|cq(?:w|h|i|b|min|max)|px|cm|mm|q|in|pt|pc|deg|rad|grad|turn|ms|s|hz|khz|dpi|dpcm|dppx|x|fr|%)',
 		directionPattern = 'direction\\s*:\\s*',
 		urlSpecialCharsPattern = '[!#$%&*-~]',
 		validAfterUriCharsPattern = '[\'"]?\\s*',
 		nonLetterPattern = '(^|[^a-zA-Z])',
 		charsWithinSelectorPattern = '[^\\}]*?',
 		noFlipPattern = '\\/\\*\\!?\\s*@noflip\\s*\\*\\/',
+		noFlipStartPattern = '\\/\\*\\!?\\s*@noflip-start\\s*\\*\\/',
+		noFlipEndPattern = '\\/\\*\\!?\\s*@noflip-end\\s*\\*\\/',
+		flipOnlyPattern = '\\/\\*\\!?\\s*@flip-only\\s*\\*\\/',
+		rtlCommentPattern = '\\/\\*\\!?\\s*@rtl:([^*;{}]*)\\*\\/',
 		commentPattern = '\\/\\*[^*]*\\*+([^\\/*][^*]*\\*+)*\\/',
 		escapePattern = '(?:' + unicodePattern + '|\\\\[^\\r\\n\\f0-9a-f])',
 		nmstartPattern = '(?:[_a-z]|' + nonAsciiPattern + '|' + escapePattern + ')',
 		nmcharPattern = '(?:[_a-z0-9-]|' + nonAsciiPattern + '|' + escapePattern + ')',
 		identPattern = '-?' + nmstartPattern + nmcharPattern + '*',
+		// Like identPattern, but unambiguous, so that matching it takes linear time
+		linearIdentPattern = '-?(?:[_a-z]|' + nonAsciiPattern + '|\\\\[^\\r\\n\\f])(?:[_a-z0-9-]|' + nonAsciiPattern + '|\\\\[^\\r\\n\\f])*',
 		quantPattern = numPattern + '(?:\\s*' + unitPattern + '|' + identPattern + ')?',
-		signedQuantPattern = '((?:-?' + quantPattern + ')|(?:inherit|auto))',
-		signedQuantSimplePattern = '(?:-?' + numPattern + '(?:\\s*' + unitPattern + ')?)',
-		mathOperatorsPattern = '(?:\\+|\\-|\\*|\\/)',
-		allowedCharsPattern = '(?:\\(|\\)|\\t| )',
-		calcEquationPattern = '(?:' + allowedCharsPattern + '|' + signedQuantSimplePattern + '|' + mathOperatorsPattern + '){3,}',
-		calcPattern = '(?:calc\\((?:' + calcEquationPattern + ')\\))',
-		signedQuantCalcPattern = '((?:-?' + quantPattern + ')|(?:inherit|auto)|' + calcPattern + ')',
-		fourNotationQuantPropsPattern = '((?:margin|padding|border-width)\\s*:\\s*)',
+		// A function like calc(), var() or clamp(), with up to three levels of nested parentheses
+		functionPattern = '(?:[-a-z]+\\((?:[^();{}]|\\((?:[^();{}]|\\([^();{}]*\\))*\\))*\\))',
+		signedQuantCalcPattern = '((?:-?' + quantPattern + ')|(?:inherit|auto)|' + functionPattern + ')',
+		fourNotationQuantPropsPattern = '((?:margin|padding|inset|(?:^|[^-\\w])border-width)\\s*:\\s*)',
 		fourNotationColorPropsPattern = '((?:-color|border-style)\\s*:\\s*)',
 		colorPattern = '(#?' + nmcharPattern + '+|(?:rgba?|hsla?)\\([ \\d.,%-]+\\))',
 		// The use of a lazy match ("*?") may cause a backtrack limit to be exceeded before finding
@@ -139,6 +1026,8 @@ function CSSJanus() {
 		lookAheadNotClosingParenPattern = '(?!' + urlCharsPattern + validAfterUriCharsPattern + '\\))',
 		lookAheadForClosingParenPattern = '(?=' + urlCharsPattern + validAfterUriCharsPattern + '\\))',
 		suffixPattern = '(\\s*(?:!important\\s*)?[;}])',
+		// A whole declaration value, without !important
+		valuePattern = '([^;{}]*?)(?=\\s*(?:!important\\s*)?(?:[;}]|$))',
 		// Regular expressions
 		temporaryTokenRegExp = /`TMP`/g,
 		temporaryLtrTokenRegExp = /`TMPLTR`/g,
@@ -146,6 +1035,19 @@ function CSSJanus() {
 		commentRegExp = new RegExp( commentPattern, 'gi' ),
 		noFlipSingleRegExp = new RegExp( '(' + noFlipPattern + lookAheadNotOpenBracePattern + '[^;}]+;?)', 'gi' ),
 		noFlipClassRegExp = new RegExp( '(' + noFlipPattern + charsWithinSelectorPattern + '})', 'gi' ),
+		noFlipCommentRegExp = new RegExp( '^' + noFlipPattern + '$', 'i' ),
+		noFlipRangeRegExp = new RegExp( noFlipStartPattern + '[^]*?(?:' + noFlipEndPattern + '|$)', 'gi' ),
+		noFlipStartCommentRegExp = new RegExp( '^' + noFlipStartPattern + '$', 'i' ),
+		noFlipEndCommentRegExp = new RegExp( '^' + noFlipEndPattern + '$', 'i' ),
+		// The rule or declaration after a @flip-only comment, or anything up to the next one
+		flipOnlyRegExp = new RegExp( flipOnlyPattern + '(?:' + lookAheadNotOpenBracePattern + '[^;}]+;?|' + charsWithinSelectorPattern + '})|(?:(?!' + flipOnlyPattern + ')[^])+', 'gi' ),
+		flipOnlyCommentRegExp = new RegExp( '^' + flipOnlyPattern + '$', 'i' ),
+		hasFlipOnlyRegExp = new RegExp( flipOnlyPattern, 'i' ),
+		startsWithFlipOnlyRegExp = new RegExp( '^' + flipOnlyPattern, 'i' ),
+		rtlDeclarationRegExp = new RegExp( '(' + rtlCommentPattern + '\\s*)' + lookAheadNotOpenBracePattern + '[^;}]*[^\\s;}]', 'gi' ),
+		rtlCommentRegExp = new RegExp( '^' + rtlCommentPattern + '$', 'i' ),
+		urlMappingContextRegExp = /@font-face\s*\{[^}]*\}|@import[^;{}]*|(?:-webkit-)?image-set\([^;{}]*|url\(\s*(?:"[^"]*"|'[^']*'|[^'"()\s]*)\s*\)/gi,
+		urlOrStringRegExp = /(url\(\s*)("[^"]*"|'[^']*'|[^'"()\s]*)(\s*\))|("[^"]*"|'[^']*')/gi,
 		directionLtrRegExp = new RegExp( '(' + directionPattern + ')ltr', 'gi' ),
 		directionRtlRegExp = new RegExp( '(' + directionPattern + ')rtl', 'gi' ),
 		leftRegExp = new RegExp( nonLetterPattern + '(left)' + lookAheadNotLetterPattern + lookAheadNotClosingParenPattern + lookAheadNotOpenBracePattern, 'gi' ),
@@ -160,33 +1062,143 @@ function CSSJanus() {
 		cursorWestRegExp = new RegExp( nonLetterPattern + '([ns]?)w-resize', 'gi' ),
 		fourNotationQuantRegExp = new RegExp( fourNotationQuantPropsPattern + signedQuantCalcPattern + '(\\s+)' + signedQuantCalcPattern + '(\\s+)' + signedQuantCalcPattern + '(\\s+)' + signedQuantCalcPattern + suffixPattern, 'gi' ),
 		fourNotationColorRegExp = new RegExp( fourNotationColorPropsPattern + colorPattern + '(\\s+)' + colorPattern + '(\\s+)' + colorPattern + '(\\s+)' + colorPattern + suffixPattern, 'gi' ),
-		bgHorizontalPercentageRegExp = new RegExp( '(background(?:-position)?\\s*:\\s*(?:[^:;}\\s]+\\s+)*?)(' + quantPattern + ')', 'gi' ),
-		bgHorizontalPercentageXRegExp = new RegExp( '(background-position-x\\s*:\\s*)(-?' + numPattern + '%)', 'gi' ),
+		positionRegExp = new RegExp( '((?:background|mask)(?:-position)?\\s*:\\s*|(?:object|offset)-position\\s*:\\s*|perspective-origin\\s*:\\s*)' + valuePattern, 'gi' ),
+		positionXRegExp = new RegExp( '(background-position-x\\s*:\\s*)' + valuePattern, 'gi' ),
+		positionKeywordRegExp = /^(?:left|right|center|top|bottom)$/i,
+		bidiPseudoElementRegExp = /(?:::[-\w]+|:before|:after|:first-line|:first-letter)$/i,
+		bidiRootRegExp = /^(?:html|:root)(?![-\w])/i,
 		// border-radius: <length or percentage>{1,4} [optional: / <length or percentage>{1,4} ]
-		borderRadiusRegExp = new RegExp( '(border-radius\\s*:\\s*)' + signedQuantPattern + '(?:(?:\\s+' + signedQuantPattern + ')(?:\\s+' + signedQuantPattern + ')?(?:\\s+' + signedQuantPattern + ')?)?' +
-			'(?:(?:(?:\\s*\\/\\s*)' + signedQuantPattern + ')(?:\\s+' + signedQuantPattern + ')?(?:\\s+' + signedQuantPattern + ')?(?:\\s+' + signedQuantPattern + ')?)?' + suffixPattern, 'gi' ),
-		boxShadowRegExp = new RegExp( '(box-shadow\\s*:\\s*(?:inset\\s*)?)' + signedQuantPattern, 'gi' ),
-		textShadow1RegExp = new RegExp( '(text-shadow\\s*:\\s*)' + signedQuantPattern + '(\\s*)' + colorPattern, 'gi' ),
-		textShadow2RegExp = new RegExp( '(text-shadow\\s*:\\s*)' + colorPattern + '(\\s*)' + signedQuantPattern, 'gi' ),
-		textShadow3RegExp = new RegExp( '(text-shadow\\s*:\\s*)' + signedQuantPattern, 'gi' ),
-		translateXRegExp = new RegExp( '(transform\\s*:[^;}]*)(translateX\\s*\\(\\s*)' + signedQuantPattern + '(\\s*\\))', 'gi' ),
-		translateRegExp = new RegExp( '(transform\\s*:[^;}]*)(translate\\s*\\(\\s*)' + signedQuantPattern + '((?:\\s*,\\s*' + signedQuantPattern + '){0,2}\\s*\\))', 'gi' );
+		borderRadiusRegExp = new RegExp( '(border-radius\\s*:\\s*)' + signedQuantCalcPattern + '(?:(?:\\s+' + signedQuantCalcPattern + ')(?:\\s+' + signedQuantCalcPattern + ')?(?:\\s+' + signedQuantCalcPattern + ')?)?' +
+			'(?:(?:(?:\\s*\\/\\s*)' + signedQuantCalcPattern + ')(?:\\s+' + signedQuantCalcPattern + ')?(?:\\s+' + signedQuantCalcPattern + ')?(?:\\s+' + signedQuantCalcPattern + ')?)?' + suffixPattern, 'gi' ),
+		mozBorderRadiusCornerRegExp = /(-moz-border-radius-(?:top|bottom))(left|right)(?=\s*:)/gi,
+		// border-image and mask-border, and their -slice, -width and -outset longhands
+		borderImageRegExp = new RegExp( '((?:^|[^-\\w])(?:-webkit-)?(?:border-image|mask-border)(?:-slice|-width|-outset)?\\s*:\\s*)' + valuePattern, 'gi' ),
+		boxShadowRegExp = new RegExp( '(box-shadow\\s*:\\s*)' + valuePattern, 'gi' ),
+		textShadowRegExp = new RegExp( '(text-shadow\\s*:\\s*)' + valuePattern, 'gi' ),
+		lengthRegExp = new RegExp( '^-?' + numPattern + '(?:\\s*' + unitPattern + '|' + linearIdentPattern + ')?$', 'i' ),
+		transformRegExp = new RegExp( '(transform\\s*:\\s*)' + valuePattern, 'gi' ),
+		transformOriginRegExp = new RegExp( '(transform-origin\\s*:\\s*)' + valuePattern, 'gi' ),
+		sidePropertyRegExp = new RegExp( '(^|[^-\\w])((?:[-\\w]+-)?(?:left|right|top|bottom)(?:-[-\\w]+)?)(\\s*:)' + lookAheadNotOpenBracePattern, 'gi' ),
+		fourValuePropertyRegExp = new RegExp( '((?:^|[^-\\w])(?:margin|padding|inset|scroll-margin|scroll-padding|border-width|border-style|border-color)\\s*:\\s*)' + valuePattern, 'gi' ),
+		borderRadiusValueRegExp = new RegExp( '((?:^|[^\\w])border-radius\\s*:\\s*)' + valuePattern, 'gi' ),
+		resizeCursorRegExp = new RegExp( nonLetterPattern + '([nsew]{1,2}|nesw|nwse|col|row)-resize', 'gi' ),
+		translatePropertyRegExp = new RegExp( '((?:^|[^-\\w])translate\\s*:\\s*)' + valuePattern, 'gi' ),
+		rotatePropertyRegExp = new RegExp( '((?:^|[^-\\w])rotate\\s*:\\s*)' + valuePattern, 'gi' ),
+		gridAreasRegExp = new RegExp( '((?:^|[^-\\w])(?:grid-template-areas|grid-template|grid)\\s*:\\s*)' + valuePattern, 'gi' ),
+		gridColumnsRegExp = new RegExp( '((?:^|[^-\\w])(?:grid-template-columns|grid-template|grid)\\s*:\\s*)' + valuePattern, 'gi' ),
+		gridColumnRegExp = new RegExp( '((?:^|[^-\\w])grid-column\\s*:\\s*)' + valuePattern, 'gi' ),
+		gridColumnSideRegExp = new RegExp( '((?:^|[^-\\w])grid-column-)(start|end)(\\s*:\\s*)' + valuePattern, 'gi' ),
+		gridAreaRegExp = new RegExp( '((?:^|[^-\\w])grid-area\\s*:\\s*)' + valuePattern, 'gi' ),
+		shapePropertyRegExp = new RegExp( '((?:^|[^-\\w])(?:-webkit-)?(?:clip-path|shape-outside)\\s*:\\s*)' + valuePattern, 'gi' ),
+		gradientPropertyRegExp = new RegExp( '((?:^|[^-\\w])(?:background|background-image|mask|mask-image|border-image|border-image-source)\\s*:\\s*)' + valuePattern, 'gi' ),
+		// The first argument of a gradient, if it has no functions
+		gradientRegExp = /((?:^|[^-\w])(?:repeating-)?(linear|radial|conic)-gradient\(\s*)([^,()]*)(?=,)/gi,
+		angleRegExp = /^[-+]?[\d.]+(?:deg|grad|rad|turn)$/i,
+		gridLineNumberRegExp = /(^|\s)([-+]?\d+)(?=\s|$)/,
+		gridSpanRegExp = /(?:^|\s)span(?:\s|$)/i,
+		gridRepeatRegExp = /^(repeat\(\s*[^,]*,\s*)([^]*?)(\s*\))$/i;
 
 	/**
-	 * Invert the horizontal value of a background position property.
+	 * Invert the horizontal part of a position.
+	 *
+	 * The position is the first run of lengths, percentages and position keywords in the
+	 * value, so this works for shorthands like background too. Positions with left or right
+	 * keywords are left alone, as those keywords are flipped by the 'left-right' rule.
+	 * Percentages are inverted, other lengths are converted to an offset from the right edge.
 	 *
 	 * @private
-	 * @param {string} match Matched property
-	 * @param {string} pre Text before value
-	 * @param {string} value Horizontal value
-	 * @return {string} Inverted property
+	 * @param {string} value Value of a single layer
+	 * @param {boolean} xOnly Whether the value is only the horizontal part of a position
+	 * @return {string}
 	 */
-	function calculateNewBackgroundPosition( match, pre, value ) {
-		var idx, len;
-		// Inside a function call (unbalanced parens), not a position, so we skip.
-		if ( pre.split( '(' ).length > pre.split( ')' ).length ) {
-			return match;
+	function flipPosition( value, xOnly ) {
+		var parts = splitValue( value, /[\s/]/ ),
+			indexes = [],
+			i, x, y;
+
+		for ( i = 0; i < parts.length; i += 2 ) {
+			// Values after a slash are sizes
+			if ( ( i === 0 || parts[ i - 1 ].indexOf( '/' ) === -1 ) && (
+				positionKeywordRegExp.test( parts[ i ] ) ||
+				lengthRegExp.test( parts[ i ] ) ||
+				/^calc\(/i.test( parts[ i ] )
+			) ) {
+				indexes.push( i );
+			} else if ( indexes.length ) {
+				break;
+			}
+		}
+		if ( !indexes.length || indexes.length > 2 ) {
+			return value;
+		}
+
+		x = parts[ indexes[ 0 ] ];
+		y = indexes.length === 2 ? parts[ indexes[ 1 ] ] : 'center';
+		if ( positionKeywordRegExp.test( x ) || /^(?:left|right)$/i.test( y ) ) {
+			return value;
+		}
+		if ( x.slice( -1 ) === '%' ) {
+			parts[ indexes[ 0 ] ] = flipPercentage( x );
+		} else if ( parseFloat( x ) === 0 ) {
+			parts[ indexes[ 0 ] ] = '100%';
+		} else if ( xOnly ) {
+			parts[ indexes[ 0 ] ] = 'right ' + x;
+		} else {
+			// Use the four-value syntax, as "right 10px 20px" and "right 10px" mean
+			// something else.
+			if ( /^center$/i.test( y ) ) {
+				y = 'top 50%';
+			} else if ( /^(?:top|bottom)$/i.test( y ) ) {
+				y += ' 0';
+			} else {
+				y = 'top ' + y;
+			}
+			parts.splice( indexes[ 0 ], indexes.length * 2 - 1, 'right ' + x + ' ' + y );
 		}
+		return parts.join( '' );
+	}
+
+	/**
+	 * Invert the horizontal part of each layer of a position or background property.
+	 *
+	 * @private
+	 * @param {string} match
+	 * @param {string} property
+	 * @param {string} value
+	 * @return {string}
+	 */
+	function calculateNewPosition( match, property, value ) {
+		return property + splitValue( value, /,/ ).map( function ( layer, i ) {
+			return i % 2 ? layer : flipPosition( layer, false );
+		} ).join( '' );
+	}
+
+	/**
+	 * Invert the value of the background-position-x property.
+	 *
+	 * @private
+	 * @param {string} match
+	 * @param {string} property
+	 * @param {string} value
+	 * @return {string}
+	 */
+	function calculateNewPositionX( match, property, value ) {
+		return property + splitValue( value, /,/ ).map( function ( layer, i ) {
+			return i % 2 ? layer : flipPosition( layer, true );
+		} ).join( '' );
+	}
+
+	/**
+	 * Invert a percentage, keeping the number of decimals.
+	 *
+	 * Values other than percentages are returned unchanged.
+	 *
+	 * @private
+	 * @param {string} value
+	 * @return {string}
+	 */
+	function flipPercentage( value ) {
+		var idx, len;
 		if ( value.slice( -1 ) === '%' ) {
 			idx = value.indexOf( '.' );
 			if ( idx !== -1 ) {
@@ -198,7 +1210,7 @@ function CSSJanus() {
 				value = 100 - parseFloat( value ) + '%';
 			}
 		}
-		return pre + value;
+		return value;
 	}
 
 	/**
@@ -264,16 +1276,73 @@ function CSSJanus() {
 		return pre + values + post;
 	}
 
+	/**
+	 * Check whether a value is a single function, like calc(1px + 2px), with balanced
+	 * parentheses.
+	 *
+	 * @private
+	 * @param {string} value
+	 * @return {boolean}
+	 */
+	function isFunction( value ) {
+		var depth = 0,
+			i = /^[-a-z]*/i.exec( value )[ 0 ].length;
+
+		if ( !i || value[ i ] !== '(' ) {
+			return false;
+		}
+		for ( ; i < value.length; i++ ) {
+			if ( value[ i ] === '(' ) {
+				depth++;
+			} else if ( value[ i ] === ')' ) {
+				depth--;
+				if ( !depth ) {
+					return i === value.length - 1;
+				}
+			}
+		}
+		return false;
+	}
+
+	/**
+	 * Check whether a part of a value is a length or a number, with or without a unit, or a
+	 * function that gives one, like calc(), min(), max() or clamp().
+	 *
+	 * @private
+	 * @param {string} value
+	 * @param {boolean} allowVar Whether to also accept var() and env(), which could stand for
+	 *  anything, like the color of a shadow
+	 * @return {boolean}
+	 */
+	function isLength( value, allowVar ) {
+		return lengthRegExp.test( value ) || ( isFunction( value ) && (
+			/^(?:calc|min|max|clamp)\(/i.test( value ) ||
+			( allowVar && /^(?:var|env)\(/i.test( value ) )
+		) );
+	}
+
 	/**
 	 * Flip the sign of a CSS value, possibly with a unit.
 	 *
-	 * We can't just negate the value with unary minus due to the units.
+	 * We can't just negate the value with unary minus due to the units. Functions like calc()
+	 * are multiplied by -1, or the other way around.
 	 *
 	 * @private
 	 * @param {string} value
 	 * @return {string}
 	 */
 	function flipSign( value ) {
+		var prefix, negated;
+
+		if ( isFunction( value ) ) {
+			// Functions can't have a sign, so multiply them by -1 instead
+			prefix = /^calc\(\s*-1\s*\*\s*/i.exec( value );
+			negated = prefix && value.slice( prefix[ 0 ].length, -1 ).trim();
+			return negated && isFunction( negated ) ?
+				negated :
+				'calc(-1 * ' + value + ')';
+		}
+
 		if ( parseFloat( value ) === 0 ) {
 			// Don't mangle zeroes
 			return value;
@@ -287,173 +1356,3404 @@ function CSSJanus() {
 	}
 
 	/**
+	 * Split a value into parts, outside of functions, brackets (like grid line names) and strings.
+	 *
+	 * Separators are kept, so joining the parts gives the original value. Even indexes hold the
+	 * parts between separators, odd indexes hold the separators. For example, splitting
+	 * "1px  rgb(0, 0, 0)" by whitespace gives [ '1px', '  ', 'rgb(0, 0, 0)' ].
+	 *
+	 * @private
+	 * @param {string} value
+	 * @param {RegExp} separator Pattern matching a single separator character
+	 * @return {string[]}
+	 */
+	function splitValue( value, separator ) {
+		var parts = [ '' ],
+			depth = 0,
+			quote = null,
+			i, ch, isSeparator;
+
+		for ( i = 0; i < value.length; i++ ) {
+			ch = value[ i ];
+			isSeparator = depth === 0 && !quote && separator.test( ch );
+			// Start a new part when switching between separators and the rest
+			if ( isSeparator !== ( parts.length % 2 === 0 ) ) {
+				parts.push( '' );
+			}
+			parts[ parts.length - 1 ] += ch;
+			if ( quote ) {
+				if ( ch === quote ) {
+					quote = null;
+				} else if ( ch === '\\' ) {
+					parts[ parts.length - 1 ] += value[ ++i ] || '';
+				}
+			} else if ( ch === '"' || ch === '\'' ) {
+				quote = ch;
+			} else if ( ch === '(' || ch === '[' ) {
+				depth++;
+			} else if ( ( ch === ')' || ch === ']' ) && depth > 0 ) {
+				depth--;
+			}
+		}
+		return parts;
+	}
+
+	/**
+	 * Split a space-separated list of values.
+	 *
+	 * @private
+	 * @param {string} value
+	 * @return {string[]}
+	 */
+	function splitSpaces( value ) {
+		return splitValue( value.trim(), /\s/ ).filter( function ( part, i ) {
+			return i % 2 === 0;
+		} );
+	}
+
+	/**
+	 * Get the four corner values of a border-radius value.
+	 *
+	 * @private
+	 * @param {string} value Border radius, without a slash
+	 * @return {string[]|null} Top-left, top-right, bottom-right and bottom-left radius, or null
+	 *  if the value has more than four parts
+	 */
+	function getCorners( value ) {
+		var parts = splitSpaces( value );
+		if ( parts.length > 4 ) {
+			return null;
+		}
+		return [
+			parts[ 0 ],
+			parts[ 1 ] || parts[ 0 ],
+			parts[ 2 ] || parts[ 0 ],
+			parts[ 3 ] || parts[ 1 ] || parts[ 0 ]
+		];
+	}
+
+	/**
+	 * Flip the horizontal offset of each shadow in a list of shadows.
+	 *
+	 * The horizontal offset is the first length of a shadow. Keywords and colors can be
+	 * anywhere in a shadow.
+	 *
 	 * @private
 	 * @param {string} match
 	 * @param {string} property
-	 * @param {string} offset
+	 * @param {string} value
 	 * @return {string}
 	 */
-	function calculateNewShadow( match, property, offset ) {
-		return property + flipSign( offset );
+	function calculateNewShadow( match, property, value ) {
+		return property + splitValue( value, /,/ ).map( function ( shadow, i ) {
+			var parts, j;
+			if ( i % 2 ) {
+				// Separator
+				return shadow;
+			}
+			parts = splitValue( shadow, /\s/ );
+			for ( j = 0; j < parts.length; j += 2 ) {
+				if ( isLength( parts[ j ], false ) ) {
+					parts[ j ] = flipSign( parts[ j ] );
+					break;
+				}
+			}
+			return parts.join( '' );
+		} ).join( '' );
+	}
+
+	/**
+	 * Flip the sign of some of the parts of a value.
+	 *
+	 * Only lengths and numbers are flipped, including functions that could give one, like calc()
+	 * or var(). Whitespace around parts is kept.
+	 *
+	 * @private
+	 * @param {string[]} parts Parts, as from #splitValue
+	 * @param {number[]} indexes Which parts to flip, not counting separators
+	 * @return {string} Joined parts
+	 */
+	function flipParts( parts, indexes ) {
+		indexes.forEach( function ( index ) {
+			var value = ( parts[ index * 2 ] || '' ).trim();
+			if ( isLength( value, true ) ) {
+				parts[ index * 2 ] = parts[ index * 2 ].replace( value, function () {
+					return flipSign( value );
+				} );
+			}
+		} );
+		return parts.join( '' );
+	}
+
+	/**
+	 * Mirror a transform function horizontally.
+	 *
+	 * @private
+	 * @param {string} name Function name
+	 * @param {string} args Function arguments
+	 * @return {string} New function arguments
+	 */
+	function flipTransformFunction( name, args ) {
+		var parts = splitValue( args, /,/ ),
+			count = Math.ceil( parts.length / 2 );
+
+		switch ( name.toLowerCase() ) {
+			case 'translate':
+				// Also accept a legacy third value
+				return count <= 3 ? flipParts( parts, [ 0 ] ) : args;
+			case 'translatex':
+			case 'translate3d':
+			case 'rotate':
+			case 'rotatey':
+			case 'rotatez':
+			case 'skewx':
+			case 'skewy':
+				return flipParts( parts, [ 0 ] );
+			case 'skew':
+				return flipParts( parts, [ 0, 1 ] );
+			case 'rotate3d':
+				// Mirror the axis, and rotate the other way
+				return count === 4 ? flipParts( parts, [ 0, 3 ] ) : args;
+			case 'matrix':
+				return count === 6 ? flipParts( parts, [ 1, 2, 4 ] ) : args;
+			case 'matrix3d':
+				return count === 16 ? flipParts( parts, [ 1, 2, 3, 4, 8, 12 ] ) : args;
+		}
+		return args;
+	}
+
+	/**
+	 * Replace the arguments of the functions in a value.
+	 *
+	 * Functions are found with a global regular expression whose match ends with the opening
+	 * parenthesis. Their arguments run up to the matching closing parenthesis. The value is
+	 * left as it is from the first function that isn't closed.
+	 *
+	 * @private
+	 * @param {string} value
+	 * @param {RegExp} functionRegExp
+	 * @param {Function} callback Called with the match of the function and its arguments,
+	 *  returns the new arguments
+	 * @return {string}
+	 */
+	function replaceFunctionArguments( value, functionRegExp, callback ) {
+		var result = '',
+			pos = 0,
+			func, depth, i;
+
+		functionRegExp.lastIndex = 0;
+		while ( ( func = functionRegExp.exec( value ) ) ) {
+			// Find the closing parenthesis
+			depth = 1;
+			for ( i = functionRegExp.lastIndex; i < value.length && depth; i++ ) {
+				if ( value[ i ] === '(' ) {
+					depth++;
+				} else if ( value[ i ] === ')' ) {
+					depth--;
+				}
+			}
+			if ( depth ) {
+				break;
+			}
+			result += value.slice( pos, functionRegExp.lastIndex ) +
+				callback( func, value.slice( functionRegExp.lastIndex, i - 1 ) );
+			pos = i - 1;
+			functionRegExp.lastIndex = i;
+		}
+		return result + value.slice( pos );
 	}
 
 	/**
+	 * Mirror the functions in a transform value.
+	 *
 	 * @private
 	 * @param {string} match
 	 * @param {string} property
-	 * @param {string} prefix
-	 * @param {string} offset
-	 * @param {string} suffix
+	 * @param {string} value
 	 * @return {string}
 	 */
-	function calculateNewTranslate( match, property, prefix, offset, suffix ) {
-		return property + prefix + flipSign( offset ) + suffix;
+	function calculateNewTransform( match, property, value ) {
+		return property + replaceFunctionArguments( value, /([-\w]+)(\s*\()/g, function ( func, args ) {
+			return flipTransformFunction( func[ 1 ], args );
+		} );
 	}
 
 	/**
+	 * Mirror the value of the translate property.
+	 *
 	 * @private
 	 * @param {string} match
 	 * @param {string} property
-	 * @param {string} color
-	 * @param {string} space
-	 * @param {string} offset
+	 * @param {string} value
 	 * @return {string}
 	 */
-	function calculateNewFourTextShadow( match, property, color, space, offset ) {
-		return property + color + space + flipSign( offset );
+	function calculateNewTranslate( match, property, value ) {
+		return property + flipParts( splitValue( value, /\s/ ), [ 0 ] );
 	}
 
-	return {
-		/**
-		 * Transform a left-to-right stylesheet to right-to-left.
-		 *
-		 * @param {string} css Stylesheet to transform
-		 * @param {Object} options Options
-		 * @param {boolean} [options.transformDirInUrl=false] Transform directions in URLs
-		 * (e.g. 'ltr', 'rtl')
-		 * @param {boolean} [options.transformEdgeInUrl=false] Transform edges in URLs
-		 * (e.g. 'left', 'right')
-		 * @return {string} Transformed stylesheet
-		 */
-		'transform': function ( css, options ) { // eslint-disable-line quote-props
-			// Use single quotes in this object literal key for closure compiler.
-			// Tokenizers
-			var noFlipSingleTokenizer = new Tokenizer( noFlipSingleRegExp, noFlipSingleToken ),
-				noFlipClassTokenizer = new Tokenizer( noFlipClassRegExp, noFlipClassToken ),
-				commentTokenizer = new Tokenizer( commentRegExp, commentToken );
-
-			// Tokenize
-			css = commentTokenizer.tokenize(
-				noFlipClassTokenizer.tokenize(
-					noFlipSingleTokenizer.tokenize(
-						// We wrap tokens in ` , not ~ like the original implementation does.
-						// This was done because ` is not a legal character in CSS and can only
-						// occur in URLs, where we escape it to %60 before inserting our tokens.
-						css.replace( '`', '%60' )
-					)
-				)
-			);
-
-			// Transform URLs
-			if ( options.transformDirInUrl ) {
-				// Replace 'ltr' with 'rtl' and vice versa in background URLs
-				css = css
-					.replace( ltrDirSelector, '$1' + temporaryLtrToken + '$2' )
-					.replace( rtlDirSelector, '$1' + temporaryRtlToken + '$2' )
-					.replace( ltrInUrlRegExp, '$1' + temporaryToken )
-					.replace( rtlInUrlRegExp, '$1ltr' )
-					.replace( temporaryTokenRegExp, 'rtl' )
-					.replace( temporaryLtrTokenRegExp, 'ltr' )
-					.replace( temporaryRtlTokenRegExp, 'rtl' );
-			}
-			if ( options.transformEdgeInUrl ) {
-				// Replace 'left' with 'right' and vice versa in background URLs
-				css = css
-					.replace( leftInUrlRegExp, '$1' + temporaryToken )
-					.replace( rightInUrlRegExp, '$1left' )
-					.replace( temporaryTokenRegExp, 'right' );
-			}
-
-			// Transform rules
-			css = css
-				// Replace direction: ltr; with direction: rtl; and vice versa.
-				.replace( directionLtrRegExp, '$1' + temporaryToken )
-				.replace( directionRtlRegExp, '$1ltr' )
-				.replace( temporaryTokenRegExp, 'rtl' )
-				// Flip rules like left: , padding-right: , etc.
-				.replace( leftRegExp, '$1' + temporaryToken )
-				.replace( rightRegExp, '$1left' )
-				.replace( temporaryTokenRegExp, 'right' )
-				// Flip East and West in rules like cursor: nw-resize;
-				.replace( cursorEastRegExp, '$1$2' + temporaryToken )
-				.replace( cursorWestRegExp, '$1$2e-resize' )
-				.replace( temporaryTokenRegExp, 'w-resize' )
-				// Border radius
-				.replace( borderRadiusRegExp, calculateNewBorderRadius )
-				// Shadows
-				.replace( boxShadowRegExp, calculateNewShadow )
-				.replace( textShadow1RegExp, calculateNewFourTextShadow )
-				.replace( textShadow2RegExp, calculateNewFourTextShadow )
-				.replace( textShadow3RegExp, calculateNewShadow )
-				// Translate
-				.replace( translateXRegExp, calculateNewTranslate )
-				.replace( translateRegExp, calculateNewTranslate )
-				// Swap the second and fourth parts in four-part notation rules
-				// like padding: 1px 2px 3px 4px;
-				.replace( fourNotationQuantRegExp, '$1$2$3$8$5$6$7$4$9' )
-				.replace( fourNotationColorRegExp, '$1$2$3$8$5$6$7$4$9' )
-				// Flip horizontal background percentages
-				.replace( bgHorizontalPercentageRegExp, calculateNewBackgroundPosition )
-				.replace( bgHorizontalPercentageXRegExp, calculateNewBackgroundPosition );
-
-			// Detokenize
-			css = noFlipSingleTokenizer.detokenize(
-				noFlipClassTokenizer.detokenize(
-					commentTokenizer.detokenize( css )
-				)
-			);
-
-			return css;
+	/**
+	 * Mirror the value of the rotate property.
+	 *
+	 * The value is an angle, optionally preceded by an axis keyword or vector.
+	 *
+	 * @private
+	 * @param {string} match
+	 * @param {string} property
+	 * @param {string} value
+	 * @return {string}
+	 */
+	function calculateNewRotate( match, property, value ) {
+		var parts = splitValue( value, /\s/ ),
+			count = Math.ceil( parts.length / 2 );
+
+		if ( count === 1 || ( count === 2 && /^[yz]$/i.test( parts[ 0 ] ) ) ) {
+			return property + flipParts( parts, [ count - 1 ] );
 		}
-	};
-}
+		if ( count === 4 ) {
+			return property + flipParts( parts, [ 0, 3 ] );
+		}
+		return match;
+	}
 
-/* Initialization */
+	/**
+	 * Flip a horizontal percentage in the value of the transform-origin property.
+	 *
+	 * @private
+	 * @param {string} match
+	 * @param {string} property
+	 * @param {string} value
+	 * @return {string}
+	 */
+	function calculateNewTransformOrigin( match, property, value ) {
+		var parts = splitValue( value, /\s/ );
+		parts[ 0 ] = flipPercentage( parts[ 0 ] );
+		return property + parts.join( '' );
+	}
 
-cssjanus = new CSSJanus();
+	/**
+	 * Mirror the gradients in a value.
+	 *
+	 * Angles of linear gradients and the starting angles of conic gradients are negated, and
+	 * the horizontal positions of radial and conic gradients are flipped. Keywords like
+	 * 'to left' are flipped by the 'left-right' rule. Gradients with functions in their first
+	 * argument, like calc() angles, and the legacy prefixed gradients are left alone.
+	 *
+	 * @private
+	 * @param {string} match
+	 * @param {string} property
+	 * @param {string} value
+	 * @return {string}
+	 */
+	function calculateNewGradients( match, property, value ) {
+		return property + value.replace( gradientRegExp, function ( gradient, before, type, arg ) {
+			var parts = splitValue( arg, /\s/ ),
+				i;
 
-/* Exports */
+			for ( i = 0; i < parts.length; i += 2 ) {
+				if ( /^at$/i.test( parts[ i ] ) ) {
+					return before + parts.slice( 0, i + 2 ).join( '' ) +
+						flipPosition( parts.slice( i + 2 ).join( '' ), false );
+				}
+				if ( angleRegExp.test( parts[ i ] ) && (
+					( type.toLowerCase() === 'linear' && i === 0 ) ||
+					( type.toLowerCase() === 'conic' && /^from$/i.test( parts[ i - 2 ] ) )
+				) ) {
+					parts[ i ] = flipSign( parts[ i ] );
+				}
+			}
+			return before + parts.join( '' );
+		} );
+	}
 
-if ( typeof module !== 'undefined' && module.exports ) {
 	/**
-	 * Transform a left-to-right stylesheet to right-to-left.
+	 * Reverse the names in each row string of grid-template-areas, or of the grid-template and
+	 * grid shorthands.
 	 *
-	 * This function is a static wrapper around the transform method of an instance of CSSJanus.
+	 * @private
+	 * @param {string} match
+	 * @param {string} property
+	 * @param {string} value
+	 * @return {string}
+	 */
+	function calculateNewGridAreas( match, property, value ) {
+		return property + value.replace( /"[^"]*"|'[^']*'/g, function ( row ) {
+			return row[ 0 ] + row.slice( 1, -1 ).split( /(\s+)/ ).reverse().join( '' ) + row[ 0 ];
+		} );
+	}
+
+	/**
+	 * Reverse a grid track list, like '[a] 100px repeat(2, 1fr 2fr) [b]'.
 	 *
-	 * @param {string} css Stylesheet to transform
-	 * @param {Object|boolean} [options] Options object, or transformDirInUrl option (back-compat)
-	 * @param {boolean} [options.transformDirInUrl=false] Transform directions in URLs
-	 * (e.g. 'ltr', 'rtl')
-	 * @param {boolean} [options.transformEdgeInUrl=false] Transform edges in URLs
-	 * (e.g. 'left', 'right')
-	 * @param {boolean} [transformEdgeInUrl] Back-compat parameter
-	 * @return {string} Transformed stylesheet
+	 * Line names stay with their line, and track lists in repeat() are reversed too. The
+	 * 'subgrid' keyword stays in front.
+	 *
+	 * @private
+	 * @param {string} value
+	 * @return {string}
 	 */
-	exports.transform = function ( css, options, transformEdgeInUrl ) {
-		var norm;
-		if ( typeof options === 'object' ) {
-			norm = options;
-		} else {
-			norm = {};
-			if ( typeof options === 'boolean' ) {
-				norm.transformDirInUrl = options;
-			}
-			if ( typeof transformEdgeInUrl === 'boolean' ) {
-				norm.transformEdgeInUrl = transformEdgeInUrl;
-			}
+	function reverseTrackList( value ) {
+		var parts = splitValue( value, /\s/ ),
+			first = /^subgrid$/i.test( parts[ 0 ] ) ? parts.splice( 0, 2 ).join( '' ) : '';
+
+		return first + parts.map( function ( part ) {
+			var repeat = gridRepeatRegExp.exec( part );
+			return repeat ? repeat[ 1 ] + reverseTrackList( repeat[ 2 ] ) + repeat[ 3 ] : part;
+		} ).reverse().join( '' );
+	}
+
+	/**
+	 * Reverse the column track list of grid-template-columns, or of the grid-template and grid
+	 * shorthands.
+	 *
+	 * @private
+	 * @param {string} match
+	 * @param {string} property
+	 * @param {string} value
+	 * @return {string}
+	 */
+	function calculateNewGridColumns( match, property, value ) {
+		var parts;
+
+		if ( /grid-template-columns/i.test( property ) ) {
+			return property + reverseTrackList( value );
 		}
-		return cssjanus.transform( css, norm );
-	};
+		parts = splitValue( value, /\// );
+		if ( parts.length !== 3 || /auto-flow/i.test( parts[ 2 ] ) ) {
+			// No columns, or implicit columns
+			return match;
+		}
+		return property + parts[ 0 ] + parts[ 1 ] + parts[ 2 ].replace( /\S[^]*\S|\S/, function ( tracks ) {
+			return reverseTrackList( tracks );
+		} );
+	}
+
+	/**
+	 * Check whether a grid line is given by its number, like '2' or '-1 main', rather than by
+	 * a name, 'auto' or a span.
+	 *
+	 * @private
+	 * @param {string} line
+	 * @return {boolean}
+	 */
+	function isGridLineNumber( line ) {
+		return gridLineNumberRegExp.test( line ) && !gridSpanRegExp.test( line );
+	}
+
+	/**
+	 * Count a grid line number from the other edge of the grid, like '2' to '-2'.
+	 *
+	 * Line 1 is the first line from the left, and line -1 the first line from the right.
+	 *
+	 * @private
+	 * @param {string} line
+	 * @return {string}
+	 */
+	function flipGridLine( line ) {
+		if ( !isGridLineNumber( line ) ) {
+			return line;
+		}
+		return line.replace( gridLineNumberRegExp, function ( match, space, number ) {
+			return space + ( number[ 0 ] === '-' ? number.slice( 1 ) : '-' + number.replace( /^\+/, '' ) );
+		} );
+	}
+
+	/**
+	 * Mirror the column placement of grid-column, like '1 / 3' to '-3 / -1'.
+	 *
+	 * Placements without line numbers are left alone, as they're either placed automatically,
+	 * or refer to names that move with the areas and tracks.
+	 *
+	 * @private
+	 * @param {string} match
+	 * @param {string} property
+	 * @param {string} value
+	 * @return {string}
+	 */
+	function calculateNewGridColumn( match, property, value ) {
+		var parts = splitValue( value, /\// ),
+			start = parts[ 0 ].trim(),
+			end = parts.length === 3 ? parts[ 2 ].trim() : 'auto';
+
+		if ( parts.length > 3 || ( !isGridLineNumber( start ) && !isGridLineNumber( end ) ) ) {
+			return match;
+		}
+		if ( parts.length === 1 ) {
+			return property + 'auto / ' + flipGridLine( start );
+		}
+		return property + flipGridLine( end ) + /\s*$/.exec( parts[ 0 ] )[ 0 ] + '/' +
+			/^\s*/.exec( parts[ 2 ] )[ 0 ] + flipGridLine( start );
+	}
+
+	/**
+	 * Mirror grid-column-start and grid-column-end, like grid-column-start: 2 to
+	 * grid-column-end: -2.
+	 *
+	 * @private
+	 * @param {string} match
+	 * @param {string} property Property up to 'start' or 'end'
+	 * @param {string} side 'start' or 'end'
+	 * @param {string} colon
+	 * @param {string} value
+	 * @return {string}
+	 */
+	function calculateNewGridColumnSide( match, property, side, colon, value ) {
+		return property + ( /^start$/i.test( side ) ? 'end' : 'start' ) + colon + flipGridLine( value );
+	}
+
+	/**
+	 * Mirror the column placement of grid-area, like '1 / 2 / 3 / 4' to '1 / -4 / 3 / -2'.
+	 *
+	 * @private
+	 * @param {string} match
+	 * @param {string} property
+	 * @param {string} value
+	 * @return {string}
+	 */
+	function calculateNewGridArea( match, property, value ) {
+		var lines = splitValue( value, /\// ).filter( function ( part, i ) {
+				return i % 2 === 0;
+			} ).map( function ( line ) {
+				return line.trim();
+			} ),
+			isName = /^-?[_a-z][-\w]*$/i;
+
+		/**
+		 * @private
+		 * @param {number} index
+		 * @param {number} otherIndex Index of the line to copy if this one is missing
+		 * @return {string} Line, as CSS fills in missing lines
+		 */
+		function getLine( index, otherIndex ) {
+			if ( lines[ index ] !== undefined ) {
+				return lines[ index ];
+			}
+			return isName.test( lines[ otherIndex ] ) && !/^(?:auto|span)$/i.test( lines[ otherIndex ] ) ?
+				lines[ otherIndex ] :
+				'auto';
+		}
+
+		if ( lines.length < 2 || lines.length > 4 ||
+			( !isGridLineNumber( lines[ 1 ] ) && !isGridLineNumber( lines[ 3 ] || '' ) )
+		) {
+			return match;
+		}
+		return property + [
+			lines[ 0 ],
+			flipGridLine( getLine( 3, 1 ) ),
+			getLine( 2, 0 ),
+			flipGridLine( lines[ 1 ] )
+		].join( ' / ' );
+	}
+
+	/**
+	 * Mirror an x coordinate, measured from the left edge.
+	 *
+	 * Percentages are inverted, and other lengths are subtracted from 100%. This undoes itself,
+	 * so 'calc(100% - 10px)' becomes '10px' again. Zero becomes 100%, and 100% becomes a
+	 * unitless zero, as zero is usually written.
+	 *
+	 * @private
+	 * @param {string} value
+	 * @return {string}
+	 */
+	function flipCoordinate( value ) {
+		var inner = /^calc\(\s*100%\s+-\s+([^]*)\)$/i.exec( value );
+
+		if ( inner && isLength( inner[ 1 ].trim(), true ) ) {
+			return inner[ 1 ].trim();
+		}
+		if ( value.slice( -1 ) === '%' ) {
+			return parseFloat( value ) === 100 ? '0' : flipPercentage( value );
+		}
+		if ( !isLength( value, true ) ) {
+			return value;
+		}
+		return parseFloat( value ) === 0 ? '100%' : 'calc(100% - ' + value + ')';
+	}
+
+	/**
+	 * Mirror the arguments of a basic shape function.
+	 *
+	 * @private
+	 * @param {string} name Function name
+	 * @param {string} args Arguments
+	 * @return {string}
+	 */
+	function flipShapeFunction( name, args ) {
+		var leading = /^\s*/.exec( args )[ 0 ],
+			body = args.slice( leading.length ).replace( /\s+$/, '' ),
+			trailing = args.slice( leading.length + body.length ),
+			parts, round, radius, right, i;
+
+		switch ( name.toLowerCase() ) {
+			case 'polygon':
+				body = splitValue( body, /,/ ).map( function ( point, j ) {
+					var space = /^\s*/.exec( point )[ 0 ],
+						coords = splitValue( point.slice( space.length ), /\s/ );
+
+					// Skip separators and the fill rule
+					if ( j % 2 || splitSpaces( point ).length !== 2 ) {
+						return point;
+					}
+					coords[ 0 ] = flipCoordinate( coords[ 0 ] );
+					return space + coords.join( '' );
+				} ).join( '' );
+				break;
+			case 'inset':
+				round = /\s+round\s+/i.exec( body );
+				radius = round ? body.slice( round.index + round[ 0 ].length ) : '';
+				parts = splitValue( round ? body.slice( 0, round.index ) : body, /\s/ );
+				if ( parts.length === 7 ) {
+					// Swap the right and left offsets
+					right = parts[ 2 ];
+					parts[ 2 ] = parts[ 6 ];
+					parts[ 6 ] = right;
+				}
+				body = parts.join( '' ) + ( round ?
+					round[ 0 ] + calculateNewBorderRadiusValue( radius, '', radius ) :
+					'' );
+				break;
+			case 'circle':
+			case 'ellipse':
+				parts = splitValue( body, /\s/ );
+				for ( i = 0; i < parts.length; i += 2 ) {
+					if ( /^at$/i.test( parts[ i ] ) ) {
+						body = parts.slice( 0, i + 2 ).join( '' ) +
+							flipPosition( parts.slice( i + 2 ).join( '' ), false );
+						break;
+					}
+				}
+				break;
+		}
+		return leading + body + trailing;
+	}
+
+	/**
+	 * Mirror the basic shapes in a clip-path or shape-outside value.
+	 *
+	 * The x coordinates of polygon() points are mirrored, the left and right offsets of inset()
+	 * are swapped, and the horizontal positions of circle() and ellipse() are flipped.
+	 *
+	 * @private
+	 * @param {string} match
+	 * @param {string} property
+	 * @param {string} value
+	 * @return {string}
+	 */
+	function calculateNewShape( match, property, value ) {
+		var functionRegExp = /(^|[^-\w])(polygon|inset|circle|ellipse)(\s*\()/gi;
+
+		return property + replaceFunctionArguments( value, functionRegExp, function ( func, args ) {
+			return flipShapeFunction( func[ 2 ], args );
+		} );
+	}
+
+	/**
+	 * Shorten a list of four values for the sides or corners of a box, like CSS does.
+	 *
+	 * @private
+	 * @param {string[]} values Four values
+	 * @return {string} One to four values
+	 */
+	function shortenFourValues( values ) {
+		if ( values[ 1 ] !== values[ 3 ] ) {
+			return values.join( ' ' );
+		}
+		if ( values[ 0 ] !== values[ 2 ] ) {
+			return values.slice( 0, 3 ).join( ' ' );
+		}
+		return values[ 0 ] === values[ 1 ] ? values[ 0 ] : values.slice( 0, 2 ).join( ' ' );
+	}
+
+	/**
+	 * Create the rules to map a left-to-right, horizontal stylesheet to a vertical writing mode.
+	 *
+	 * @private
+	 * @param {Object} sides Map from each physical side to the side it becomes
+	 * @return {Object[]} Rules, like #rules
+	 */
+	function createWritingModeRules( sides ) {
+		var directions = {},
+			order = [ 'top', 'right', 'bottom', 'left' ],
+			corners = [ 'top-left', 'top-right', 'bottom-right', 'bottom-left' ],
+			sideOrder, cornerOrder;
+
+		Object.keys( sides ).forEach( function ( side ) {
+			directions[ { top: 'n', right: 'e', bottom: 's', left: 'w' }[ side ] ] =
+				{ top: 'n', right: 'e', bottom: 's', left: 'w' }[ sides[ side ] ];
+		} );
+
+		/**
+		 * Rename the sides and corners in a property name, like 'border-top-left-radius'.
+		 *
+		 * @private
+		 * @param {string} name
+		 * @return {string}
+		 */
+		function renameSides( name ) {
+			var parts = name.split( '-' ).map( function ( part ) {
+				return hasOwn( sides, part.toLowerCase() ) ? sides[ part.toLowerCase() ] : part;
+			} );
+			parts.forEach( function ( part, i ) {
+				// Corners are named with the vertical side first
+				if ( ( part === 'left' || part === 'right' ) &&
+					( parts[ i + 1 ] === 'top' || parts[ i + 1 ] === 'bottom' )
+				) {
+					parts[ i ] = parts[ i + 1 ];
+					parts[ i + 1 ] = part;
+				}
+			} );
+			return parts.join( '-' );
+		}
+
+		/**
+		 * Reorder the four sides or corners of a box.
+		 *
+		 * @private
+		 * @param {string[]} values Values for the top, right, bottom and left sides, or for the
+		 *  top-left, top-right, bottom-right and bottom-left corners
+		 * @param {number[]} indexes Position of each value
+		 * @return {string[]} Reordered values
+		 */
+		function reorder( values, indexes ) {
+			var result = [];
+			values.forEach( function ( value, i ) {
+				result[ indexes[ i ] ] = value;
+			} );
+			return result;
+		}
+
+		sideOrder = order.map( function ( side ) {
+			return order.indexOf( sides[ side ] );
+		} );
+		cornerOrder = corners.map( function ( corner ) {
+			return corners.indexOf( renameSides( corner ) );
+		} );
+
+		return [
+			{
+				// Rename properties like margin-left: , top: , border-top-left-radius: , etc.
+				name: 'sides',
+				replacements: [
+					[ sidePropertyRegExp, function ( match, before, name, colon ) {
+						return before + renameSides( name ) + colon;
+					} ]
+				]
+			},
+			{
+				// Rotate the directions in cursors like nw-resize
+				name: 'cursor',
+				replacements: [
+					[ resizeCursorRegExp, function ( match, before, direction ) {
+						var newDirection;
+						switch ( direction.toLowerCase() ) {
+							case 'col':
+								return before + 'row-resize';
+							case 'row':
+								return before + 'col-resize';
+							case 'ew':
+								return before + 'ns-resize';
+							case 'ns':
+								return before + 'ew-resize';
+							case 'nesw':
+							case 'nwse':
+								newDirection = directions[ direction[ 0 ].toLowerCase() ] +
+									directions[ direction[ 1 ].toLowerCase() ];
+								return before + ( /^(?:ne|en|sw|ws)$/.test( newDirection ) ?
+									'nesw' : 'nwse' ) + '-resize';
+						}
+						newDirection = direction.toLowerCase().replace( /./g, function ( letter ) {
+							return directions[ letter ];
+						} );
+						// Corners are named with the vertical direction first
+						if ( /^[ew][ns]$/.test( newDirection ) ) {
+							newDirection = newDirection[ 1 ] + newDirection[ 0 ];
+						}
+						return before + newDirection + '-resize';
+					} ]
+				]
+			},
+			{
+				name: 'border-radius',
+				replacements: [
+					[ borderRadiusValueRegExp, function ( match, property, value ) {
+						var parts = splitValue( value, /\// ),
+							horizontal = getCorners( parts[ 0 ] ),
+							vertical = parts.length === 3 ? getCorners( parts[ 2 ] ) : horizontal;
+						if ( parts.length > 3 || !horizontal || !vertical ) {
+							return match;
+						}
+						// Horizontal and vertical radii swap too
+						horizontal = shortenFourValues( reorder( horizontal, cornerOrder ) );
+						vertical = shortenFourValues( reorder( vertical, cornerOrder ) );
+						return property + ( horizontal === vertical ?
+							horizontal :
+							vertical + ' / ' + horizontal );
+					} ]
+				]
+			},
+			{
+				// Rotate the sides in four-part notation rules like padding: 1px 2px 3px 4px;
+				name: 'four-notation',
+				replacements: [
+					[ fourValuePropertyRegExp, function ( match, property, value ) {
+						var parts = splitSpaces( value );
+						if ( parts.length > 4 ) {
+							return match;
+						}
+						parts = [
+							parts[ 0 ],
+							parts[ 1 ] || parts[ 0 ],
+							parts[ 2 ] || parts[ 0 ],
+							parts[ 3 ] || parts[ 1 ] || parts[ 0 ]
+						];
+						return property + shortenFourValues( reorder( parts, sideOrder ) );
+					} ]
+				]
+			}
+		];
+	}
+
+	// Flip rules, applied in order. Each rule is a named list of replacements.
+	// More rules can be added for a single call with the rules option of #transform.
+	var rules = [
+		{
+			// Replace direction: ltr; with direction: rtl; and vice versa.
+			name: 'direction',
+			replacements: [
+				[ directionLtrRegExp, '$1' + temporaryToken ],
+				[ directionRtlRegExp, '$1ltr' ],
+				[ temporaryTokenRegExp, 'rtl' ]
+			]
+		},
+		{
+			// Flip rules like left: , padding-right: , etc.
+			name: 'left-right',
+			replacements: [
+				[ leftRegExp, '$1' + temporaryToken ],
+				[ rightRegExp, '$1left' ],
+				[ temporaryTokenRegExp, 'right' ]
+			]
+		},
+		{
+			// Flip East and West in rules like cursor: nw-resize;
+			name: 'cursor',
+			replacements: [
+				[ cursorEastRegExp, '$1$2' + temporaryToken ],
+				[ cursorWestRegExp, '$1$2e-resize' ],
+				[ temporaryTokenRegExp, 'w-resize' ]
+			]
+		},
+		{
+			name: 'border-radius',
+			replacements: [
+				[ borderRadiusRegExp, calculateNewBorderRadius ],
+				[ mozBorderRadiusCornerRegExp, swapMozBorderRadiusCorner ]
+			]
+		},
+		{
+			name: 'box-shadow',
+			replacements: [
+				[ boxShadowRegExp, calculateNewShadow ]
+			]
+		},
+		{
+			name: 'text-shadow',
+			replacements: [
+				[ textShadowRegExp, calculateNewShadow ]
+			]
+		},
+		{
+			// Mirror transform functions like translateX(), rotate(), matrix(), etc.
+			name: 'transform',
+			replacements: [
+				[ transformRegExp, calculateNewTransform ]
+			]
+		},
+		{
+			name: 'transform-origin',
+			replacements: [
+				[ transformOriginRegExp, calculateNewTransformOrigin ]
+			]
+		},
+		{
+			name: 'translate',
+			replacements: [
+				[ translatePropertyRegExp, calculateNewTranslate ]
+			]
+		},
+		{
+			name: 'rotate',
+			replacements: [
+				[ rotatePropertyRegExp, calculateNewRotate ]
+			]
+		},
+		{
+			// Mirror basic shapes like clip-path: polygon(0 0, 100% 50%, 0 100%);
+			name: 'shape',
+			replacements: [
+				[ shapePropertyRegExp, calculateNewShape ]
+			]
+		},
+		{
+			// Swap the second and fourth parts in four-part notation rules
+			// like padding: 1px 2px 3px 4px;
+			name: 'four-notation',
+			replacements: [
+				[ fourNotationQuantRegExp, '$1$2$3$8$5$6$7$4$9' ],
+				[ borderImageRegExp, calculateNewBorderImage ]
+			]
+		},
+		{
+			name: 'four-notation-color',
+			replacements: [
+				[ fourNotationColorRegExp, '$1$2$3$8$5$6$7$4$9' ]
+			]
+		},
+		{
+			// Flip horizontal positions in backgrounds, masks, etc.
+			name: 'background-position',
+			replacements: [
+				[ positionRegExp, calculateNewPosition ],
+				[ positionXRegExp, calculateNewPositionX ]
+			]
+		}
+	];
+
+	// Rule for gradients, see the transformGradients option of #transform
+	var gradientRule = {
+		name: 'gradient',
+		replacements: [
+			[ gradientPropertyRegExp, calculateNewGradients ]
+		]
+	};
+
+	// Rules for grids, see the grid option of #transform. The first is for the 'areas' mode,
+	// all of them are for the 'columns' mode.
+	var gridRules = [
+		{
+			name: 'grid-areas',
+			replacements: [
+				[ gridAreasRegExp, calculateNewGridAreas ]
+			]
+		},
+		{
+			name: 'grid-columns',
+			replacements: [
+				[ gridColumnsRegExp, calculateNewGridColumns ]
+			]
+		},
+		{
+			// Mirror line numbers in grid-column: 1 / 3; and the like
+			name: 'grid-placement',
+			replacements: [
+				[ gridColumnRegExp, calculateNewGridColumn ],
+				[ gridColumnSideRegExp, calculateNewGridColumnSide ],
+				[ gridAreaRegExp, calculateNewGridArea ]
+			]
+		}
+	];
+
+	// Rules for the vertical writing modes, see the targetWritingMode option of #transform
+	var writingModeRules = {
+		'tb-rl': createWritingModeRules( { left: 'top', right: 'bottom', top: 'right', bottom: 'left' } ),
+		'tb-lr': createWritingModeRules( { left: 'top', right: 'bottom', top: 'left', bottom: 'right' } )
+	};
+
+	/**
+	 * Find the position of a rule in a list of rules.
+	 *
+	 * @private
+	 * @param {Object[]} ruleList Rules, like #rules
+	 * @param {string} name Rule name
+	 * @return {number} Index, or -1 if there is no such rule
+	 */
+	function findRule( ruleList, name ) {
+		var i;
+		for ( i = 0; i < ruleList.length; i++ ) {
+			if ( ruleList[ i ].name === name ) {
+				return i;
+			}
+		}
+		return -1;
+	}
+
+	/**
+	 * Add custom rules to a list of rules, see the rules option of #transform.
+	 *
+	 * @private
+	 * @param {Object[]} ruleList Rules, like #rules
+	 * @param {Object[]} customRules Custom rules
+	 * @return {Object[]} New list of rules
+	 * @throws {Error} If a rule with the same name exists or rule.before is not a rule
+	 */
+	function addRules( ruleList, customRules ) {
+		var result = ruleList.slice();
+		customRules.forEach( function ( rule ) {
+			var index = result.length;
+			if ( findRule( result, rule.name ) !== -1 ) {
+				throw new Error( 'Rule "' + rule.name + '" already exists' );
+			}
+			if ( rule.before !== undefined ) {
+				index = findRule( result, rule.before );
+				if ( index === -1 ) {
+					throw new Error( 'Unknown rule "' + rule.before + '"' );
+				}
+			}
+			result.splice( index, 0, {
+				name: rule.name,
+				replacements: [ [ rule.pattern, rule.replacement ] ]
+			} );
+		} );
+		return result;
+	}
+
+	/**
+	 * Apply a list of replacements to a string.
+	 *
+	 * @private
+	 * @param {string} str
+	 * @param {Array[]} replacements List of pattern, replacement and optional rule name, where
+	 *  the pattern and replacement are as for String#replace
+	 * @param {ChangeTracker|null} tracker Tracker to record the changes with
+	 * @return {string}
+	 */
+	function applyReplacements( str, replacements, tracker ) {
+		var i, replacement;
+		for ( i = 0; i < replacements.length; i++ ) {
+			replacement = replacements[ i ];
+			str = tracker ?
+				tracker.replace( replacement[ 0 ], replacement[ 1 ], replacement[ 2 ] ) :
+				str.replace( replacement[ 0 ], replacement[ 1 ] );
+		}
+		return str;
+	}
+
+	/**
+	 * Swap two strings with each other, where they aren't part of a longer word.
+	 *
+	 * @private
+	 * @param {string} str
+	 * @param {string} a
+	 * @param {string} b
+	 * @return {string}
+	 */
+	function swapStrings( str, a, b ) {
+		var result = '',
+			i = 0,
+			// Look for the longer string first, in case one contains the other
+			pairs = a.length < b.length ? [ [ b, a ], [ a, b ] ] : [ [ a, b ], [ b, a ] ],
+			pair;
+
+		/**
+		 * @private
+		 * @param {string} word
+		 * @return {boolean}
+		 */
+		function matchesAt( word ) {
+			return !!word && str.slice( i, i + word.length ) === word &&
+				!( /^[a-z]/i.test( word ) && /[a-z]/i.test( str[ i - 1 ] || '' ) ) &&
+				!( /[a-z]$/i.test( word ) && /[a-z]/i.test( str[ i + word.length ] || '' ) );
+		}
+
+		while ( i < str.length ) {
+			pair = matchesAt( pairs[ 0 ][ 0 ] ) ? pairs[ 0 ] :
+				matchesAt( pairs[ 1 ][ 0 ] ) ? pairs[ 1 ] :
+					null;
+			if ( pair ) {
+				result += pair[ 1 ];
+				i += pair[ 0 ].length;
+			} else {
+				result += str[ i++ ];
+			}
+		}
+		return result;
+	}
+
+	/**
+	 * Map a URL with the urlMappings option.
+	 *
+	 * @private
+	 * @param {string} url
+	 * @param {Array[]|Function} mappings Pairs of strings to swap, pairs of a regular expression
+	 *  and a replacement, or a function that maps a URL
+	 * @return {string} New URL
+	 * @throws {Error} If a mapping is invalid
+	 */
+	function mapUrl( url, mappings ) {
+		if ( typeof mappings === 'function' ) {
+			return String( mappings( url ) );
+		}
+		mappings.forEach( function ( mapping ) {
+			if ( mapping[ 0 ] instanceof RegExp ) {
+				url = url.replace( mapping[ 0 ], mapping[ 1 ] );
+			} else if ( typeof mapping[ 0 ] === 'string' && typeof mapping[ 1 ] === 'string' ) {
+				url = swapStrings( url, mapping[ 0 ], mapping[ 1 ] );
+			} else {
+				throw new Error( 'Invalid URL mapping' );
+			}
+		} );
+		return url;
+	}
+
+	/**
+	 * Map the URLs in url() functions, and optionally in strings, in a piece of a stylesheet.
+	 *
+	 * @private
+	 * @param {string} text
+	 * @param {Array[]|Function} mappings See #mapUrl
+	 * @param {boolean} strings Whether strings outside of url() are URLs too
+	 * @return {string}
+	 */
+	function mapUrls( text, mappings, strings ) {
+		return text.replace( urlOrStringRegExp, function ( match, before, url, after, str ) {
+			var value = url !== undefined ? url : str,
+				quote = /^["']/.test( value ) ? value[ 0 ] : '';
+
+			if ( url === undefined && !strings ) {
+				return match;
+			}
+			value = quote + mapUrl( quote ? value.slice( 1, -1 ) : value, mappings ) + quote;
+			return url !== undefined ? before + value + after : value;
+		} );
+	}
+
+	/**
+	 * Map the URLs in a stylesheet with the urlMappings option.
+	 *
+	 * By default, this applies to url() functions, except in @font-face and @import rules. With
+	 * the mapAllUrls option, it also applies to those, and to strings in image-set().
+	 *
+	 * @private
+	 * @param {string} css Stylesheet
+	 * @param {Object} options Options, see #transform
+	 * @param {ChangeTracker|null} tracker Tracker to record the changes with
+	 * @return {string}
+	 */
+	function mapStylesheetUrls( css, options, tracker ) {
+		return applyReplacements( css, [ [ urlMappingContextRegExp, function ( match ) {
+			var start = match.slice( 0, 7 ).toLowerCase();
+			if ( start[ 0 ] === '@' ) {
+				return options.mapAllUrls ?
+					mapUrls( match, options.urlMappings, start === '@import' ) :
+					match;
+			}
+			return mapUrls( match, options.urlMappings, start !== 'url(' && !!options.mapAllUrls );
+		}, 'url-mapping' ] ], tracker );
+	}
+
+	/**
+	 * Transform a left-to-right stylesheet to right-to-left.
+	 *
+	 * @private
+	 * @param {string} css Stylesheet to transform
+	 * @param {Object} options Options, see #transform
+	 * @param {ChangeTracker|null} tracker Tracker to record the changes with
+	 * @return {string} Transformed stylesheet
+	 */
+	function transformCss( css, options, tracker ) {
+		// Tokenizers
+		var noFlipRangeTokenizer = new Tokenizer( noFlipRangeRegExp, noFlipRangeToken ),
+			noFlipOtherTokenizer = new Tokenizer(
+				flipOnlyRegExp,
+				noFlipOtherToken,
+				function ( match ) {
+					return !startsWithFlipOnlyRegExp.test( match );
+				}
+			),
+			rtlTokenizer = new Tokenizer( rtlDeclarationRegExp, rtlToken ),
+			noFlipSingleTokenizer = new Tokenizer( noFlipSingleRegExp, noFlipSingleToken ),
+			noFlipClassTokenizer = new Tokenizer( noFlipClassRegExp, noFlipClassToken ),
+			commentTokenizer = new Tokenizer( commentRegExp, commentToken ),
+			vertical = !!options.targetWritingMode && options.targetWritingMode !== 'rl-tb',
+			ruleList = options.rules ? addRules( rules, options.rules ) : rules;
+
+		if ( vertical ) {
+			if ( !hasOwn( writingModeRules, options.targetWritingMode ) ) {
+				throw new Error( 'Unknown writing mode "' + options.targetWritingMode + '"' );
+			}
+			ruleList = writingModeRules[ options.targetWritingMode ];
+		} else if ( options.grid ) {
+			if ( options.grid !== 'areas' && options.grid !== 'columns' ) {
+				throw new Error( 'Unknown grid mode "' + options.grid + '"' );
+			}
+			ruleList = gridRules.slice( 0, options.grid === 'areas' ? 1 : gridRules.length )
+				.concat( ruleList );
+		}
+		if ( options.transformGradients && !vertical ) {
+			ruleList = ruleList.concat( [ gradientRule ] );
+		}
+
+		// Tokenize
+		// We wrap tokens in ` , not ~ like the original implementation does.
+		// This was done because ` is not a legal character in CSS and can only
+		// occur in URLs, where we escape it to %60 before inserting our tokens.
+		css = applyReplacements( css, [ [ /`/g, '%60', 'escape' ] ], tracker );
+		css = noFlipRangeTokenizer.tokenize( css, tracker );
+		if ( hasFlipOnlyRegExp.test( css ) ) {
+			// Protect everything but the rules and declarations after @flip-only comments
+			css = noFlipOtherTokenizer.tokenize( css, tracker );
+		}
+		// Replace declarations after @rtl comments, and protect them
+		css = applyReplacements( css, [ [
+			rtlDeclarationRegExp,
+			function ( match, before, replacement ) {
+				return before + replacement.trim();
+			},
+			'rtl-comment'
+		] ], tracker );
+		css = rtlTokenizer.tokenize( css, tracker );
+		css = noFlipSingleTokenizer.tokenize( css, tracker );
+		css = noFlipClassTokenizer.tokenize( css, tracker );
+		css = commentTokenizer.tokenize( css, tracker );
+
+		// Transform URLs
+		if ( options.transformDirInUrl && !vertical ) {
+			// Replace 'ltr' with 'rtl' and vice versa in background URLs
+			css = applyReplacements( css, [
+				[ ltrDirSelector, '$1' + temporaryLtrToken + '$2' ],
+				[ rtlDirSelector, '$1' + temporaryRtlToken + '$2' ],
+				[ ltrInUrlRegExp, '$1' + temporaryToken, 'url-direction' ],
+				[ rtlInUrlRegExp, '$1ltr', 'url-direction' ],
+				[ temporaryTokenRegExp, 'rtl' ],
+				[ temporaryLtrTokenRegExp, 'ltr' ],
+				[ temporaryRtlTokenRegExp, 'rtl' ]
+			], tracker );
+		}
+		if ( options.transformEdgeInUrl && !vertical ) {
+			// Replace 'left' with 'right' and vice versa in background URLs
+			css = applyReplacements( css, [
+				[ leftInUrlRegExp, '$1' + temporaryToken, 'url-edge' ],
+				[ rightInUrlRegExp, '$1left', 'url-edge' ],
+				[ temporaryTokenRegExp, 'right' ]
+			], tracker );
+		}
+		if ( options.urlMappings && !vertical ) {
+			css = mapStylesheetUrls( css, options, tracker );
+		}
+
+		// Transform rules
+		ruleList.forEach( function ( rule ) {
+			if ( !options.disableRules || options.disableRules.indexOf( rule.name ) === -1 ) {
+				css = applyReplacements( css, rule.replacements.map( function ( replacement ) {
+					return [ replacement[ 0 ], replacement[ 1 ], rule.name ];
+				} ), tracker );
+			}
+		} );
+
+		// Detokenize
+		css = commentTokenizer.detokenize( css, tracker );
+		css = noFlipClassTokenizer.detokenize( css, tracker );
+		css = noFlipSingleTokenizer.detokenize( css, tracker );
+		css = rtlTokenizer.detokenize( css, tracker );
+		css = noFlipOtherTokenizer.detokenize( css, tracker );
+		css = noFlipRangeTokenizer.detokenize( css, tracker );
+
+		return css;
+	}
+
+	/**
+	 * Visit the nodes of a parsed stylesheet that aren't protected by a @noflip comment.
+	 *
+	 * A @noflip comment protects exactly the rule, at-rule or declaration that follows it,
+	 * including anything nested in it. A @noflip-start comment protects everything up to the
+	 * next @noflip-end comment. If the stylesheet has @flip-only comments, only the rules,
+	 * at-rules and declarations that follow one are visited. Comments are not visited.
+	 *
+	 * @private
+	 * @param {string} css Stylesheet
+	 * @param {Object[]} nodes Nodes, from #parseStylesheet
+	 * @param {Function} callback Called with each node, its parent node (or null), and for a
+	 *  declaration after a @rtl comment, the replacement from the comment (or null). Children
+	 *  of a node are visited after the node itself.
+	 * @param {Object|null} [parent=null] Parent of the nodes. The parent is assumed to be visited.
+	 */
+	function walkNodes( css, nodes, callback, parent ) {
+		var range = false,
+			// Lists of nodes being visited, with the state of the comments before the next
+			// node. Children are visited with a stack instead of recursion, so that deeply
+			// nested blocks don't exhaust the call stack.
+			stack = [ {
+				list: nodes,
+				parent: parent || null,
+				// Whether to visit nodes without a @flip-only comment
+				flip: !!parent || !hasFlipOnlyRegExp.test( css ),
+				index: 0,
+				noflip: false,
+				flipOnly: false,
+				rtl: null
+			} ],
+			item, node, text;
+
+		while ( stack.length ) {
+			item = stack[ stack.length - 1 ];
+			if ( item.index === item.list.length ) {
+				stack.pop();
+				continue;
+			}
+			node = item.list[ item.index++ ];
+			if ( node.type === 'comment' ) {
+				text = css.slice( node.start, node.end );
+				if ( noFlipStartCommentRegExp.test( text ) ) {
+					range = true;
+				} else if ( noFlipEndCommentRegExp.test( text ) ) {
+					range = false;
+				}
+				item.noflip = item.noflip || noFlipCommentRegExp.test( text );
+				item.flipOnly = item.flipOnly || flipOnlyCommentRegExp.test( text );
+				item.rtl = rtlCommentRegExp.exec( text ) || item.rtl;
+				continue;
+			}
+			if ( !item.noflip ) {
+				if ( !range && ( item.flip || item.flipOnly ) ) {
+					callback( node, item.parent, item.rtl && node.type === 'declaration' ?
+						item.rtl[ 1 ].trim() :
+						null
+					);
+				}
+				if ( node.children ) {
+					stack.push( {
+						list: node.children,
+						parent: node,
+						flip: item.flip || item.flipOnly,
+						index: 0,
+						noflip: false,
+						flipOnly: false,
+						rtl: null
+					} );
+				}
+			}
+			item.noflip = item.flipOnly = false;
+			item.rtl = null;
+		}
+	}
+
+	/**
+	 * Transform a single declaration.
+	 *
+	 * @private
+	 * @param {string} text Declaration, without semicolon
+	 * @param {Object} options Options, see #transform
+	 * @param {ChangeTracker|null} tracker Tracker to record the changes with. Its string must
+	 *  be the declaration followed by a semicolon.
+	 * @return {string} Transformed declaration
+	 */
+	function transformDeclaration( text, options, tracker ) {
+		// Terminate the declaration, as the rules expect
+		return transformCss( text + ';', options, tracker ).slice( 0, -1 );
+	}
+
+	/**
+	 * Get the edit that replaces a declaration with the replacement from a @rtl comment.
+	 *
+	 * @private
+	 * @param {Object} node Declaration node
+	 * @param {string} text Declaration
+	 * @param {string} replacement
+	 * @return {Object} Edit, for #spliceEdits
+	 */
+	function getReplacementEdit( node, text, replacement ) {
+		return {
+			start: node.start,
+			end: node.start + text.replace( /\s+$/, '' ).length,
+			text: replacement,
+			rule: 'rtl-comment'
+		};
+	}
+
+	/**
+	 * Transform a left-to-right stylesheet to right-to-left, using a parser.
+	 *
+	 * Only declarations are transformed, each on its own.
+	 *
+	 * @private
+	 * @param {string} css Stylesheet to transform
+	 * @param {Object} options Options, see #transform
+	 * @param {ChangeTracker|null} tracker Tracker to record the changes with
+	 * @return {string} Transformed stylesheet
+	 */
+	function transformTree( css, options, tracker ) {
+		var edits = [],
+			vertical = !!options.targetWritingMode && options.targetWritingMode !== 'rl-tb';
+
+		walkNodes( css, parseStylesheet( css ), function ( node, parent, replacement ) {
+			var text, declTracker, flipped,
+				declOptions = options;
+
+			if ( node.type === 'atrule' && node.name === 'import' && options.urlMappings &&
+				options.mapAllUrls && !vertical
+			) {
+				text = css.slice( node.start, node.end );
+				flipped = mapUrls( text, options.urlMappings, true );
+				if ( flipped !== text ) {
+					edits.push( { start: node.start, end: node.end, text: flipped, rule: 'url-mapping' } );
+				}
+			}
+			if ( node.type !== 'declaration' ) {
+				return;
+			}
+			text = css.slice( node.start, node.end );
+			if ( replacement !== null ) {
+				edits.push( getReplacementEdit( node, text, replacement ) );
+				return;
+			}
+			if ( parent && parent.type === 'atrule' && parent.name === 'font-face' &&
+				options.urlMappings && !options.mapAllUrls
+			) {
+				// URLs in @font-face rules are left alone without the mapAllUrls option
+				declOptions = Object.create( options );
+				declOptions.urlMappings = null;
+			}
+			declTracker = tracker ? new ChangeTracker( text + ';' ) : null;
+			flipped = transformDeclaration( text, declOptions, declTracker );
+			if ( declTracker ) {
+				declTracker.getPieces().forEach( function ( piece ) {
+					if ( piece.changed ) {
+						edits.push( {
+							start: node.start + piece.start,
+							end: node.start + piece.end,
+							text: piece.text,
+							rule: piece.rule
+						} );
+					}
+				} );
+			} else if ( flipped !== text ) {
+				edits.push( { start: node.start, end: node.end, text: flipped } );
+			}
+		} );
+
+		return tracker ? tracker.edit( edits ) : spliceEdits( css, edits );
+	}
+
+	/**
+	 * Check whether a value is a length, a number or a function, as allowed in
+	 * four-part notation rules like padding: 1px 2px 3px 4px;
+	 *
+	 * @private
+	 * @param {string} value
+	 * @return {boolean}
+	 */
+	function isQuantOrFunction( value ) {
+		return /^(?:inherit|auto)$/i.test( value ) || lengthRegExp.test( value ) ||
+			isFunction( value );
+	}
+
+	/**
+	 * Check whether a value is a color, as allowed in four-part notation rules like
+	 * border-color: red green blue black;
+	 *
+	 * @private
+	 * @param {string} value
+	 * @return {boolean}
+	 */
+	function isColor( value ) {
+		return /^#?(?:[\w-]|[^ -~]|\\[^\r\n\f])+$/i.test( value ) ||
+			/^(?:rgba?|hsla?)\([ \d.,%-]+\)$/i.test( value );
+	}
+
+	/**
+	 * Create a function that swaps the second and fourth parts of a value with four parts.
+	 *
+	 * @private
+	 * @param {Function} isPart Check whether a part is allowed
+	 * @return {Function} Replacement function, like #calculateNewShadow
+	 */
+	function createFourNotationFlipper( isPart ) {
+		return function ( match, property, value ) {
+			var parts = splitValue( value, /\s/ ),
+				second = parts[ 2 ];
+			if ( parts.length !== 7 || !parts.every( function ( part, i ) {
+				return i % 2 || isPart( part );
+			} ) ) {
+				return match;
+			}
+			parts[ 2 ] = parts[ 6 ];
+			parts[ 6 ] = second;
+			return property + parts.join( '' );
+		};
+	}
+
+	/**
+	 * Invert a border-radius value.
+	 *
+	 * @private
+	 * @param {string} match
+	 * @param {string} property
+	 * @param {string} value
+	 * @return {string}
+	 */
+	function calculateNewBorderRadiusValue( match, property, value ) {
+		var groups = splitValue( value, /\// ).filter( function ( part, i ) {
+				return i % 2 === 0;
+			} ).map( splitSpaces ),
+			valid = groups.length <= 2 && groups.every( function ( group ) {
+				return group.length <= 4 && group.every( function ( part ) {
+					return isQuantOrFunction( part );
+				} );
+			} );
+
+		if ( !valid ) {
+			return match;
+		}
+		return property + groups.map( flipBorderRadiusValues ).join( ' / ' );
+	}
+
+	/**
+	 * Swap the corner in legacy Mozilla border-radius properties like -moz-border-radius-topleft.
+	 *
+	 * @private
+	 * @param {string} match
+	 * @param {string} corner Property up to the side, like '-moz-border-radius-top'
+	 * @param {string} side 'left' or 'right'
+	 * @return {string}
+	 */
+	function swapMozBorderRadiusCorner( match, corner, side ) {
+		return corner + ( side.toLowerCase() === 'left' ? 'right' : 'left' );
+	}
+
+	/**
+	 * Swap the right and left sides of border-image and mask-border values.
+	 *
+	 * Each part between slashes (slice, width and outset) may have four sides, which can be
+	 * mixed with the source, the fill keyword or the repeat keywords.
+	 *
+	 * @private
+	 * @param {string} match
+	 * @param {string} property
+	 * @param {string} value
+	 * @return {string}
+	 */
+	function calculateNewBorderImage( match, property, value ) {
+		return property + splitValue( value, /\// ).map( function ( group, i ) {
+			var parts = splitValue( group, /\s/ ),
+				sides = [],
+				right;
+			if ( i % 2 ) {
+				return group;
+			}
+			parts.forEach( function ( part, j ) {
+				if ( j % 2 === 0 && ( /^auto$/i.test( part ) || isLength( part ) ) ) {
+					sides.push( j );
+				}
+			} );
+			if ( sides.length === 4 ) {
+				right = parts[ sides[ 1 ] ];
+				parts[ sides[ 1 ] ] = parts[ sides[ 3 ] ];
+				parts[ sides[ 3 ] ] = right;
+			}
+			return parts.join( '' );
+		} ).join( '' );
+	}
+
+	// Replacement functions for the single-pass engine, by rule. Each applies to properties
+	// matching a pattern.
+	var declarationHandlers = [
+		[ 'border-radius', /border-radius$/, calculateNewBorderRadiusValue ],
+		[ 'box-shadow', /box-shadow$/, calculateNewShadow ],
+		[ 'text-shadow', /text-shadow$/, calculateNewShadow ],
+		[ 'transform', /transform$/, calculateNewTransform ],
+		[ 'transform-origin', /transform-origin$/, calculateNewTransformOrigin ],
+		[ 'translate', /(?:^|[^-\w])translate$/, calculateNewTranslate ],
+		[ 'rotate', /(?:^|[^-\w])rotate$/, calculateNewRotate ],
+		[ 'shape', /(?:clip-path|shape-outside)$/, calculateNewShape ],
+		[ 'four-notation', /(?:border-image|mask-border)(?:-slice|-width|-outset)?$/, calculateNewBorderImage ],
+		[ 'four-notation', /(?:margin|padding|inset|border-width)$/, createFourNotationFlipper( isQuantOrFunction ) ],
+		[ 'four-notation-color', /(?:-color|border-style)$/, createFourNotationFlipper( isColor ) ],
+		[ 'background-position', /(?:background|mask)(?:-position)?$|(?:object|offset)-position$|perspective-origin$/, calculateNewPosition ],
+		[ 'background-position', /background-position-x$/, calculateNewPositionX ]
+	];
+
+	/**
+	 * Swap left and right, and directions and edges in URLs, in a declaration.
+	 *
+	 * This matches the 'left-right' rule and the URL options, in a single scan.
+	 *
+	 * @private
+	 * @param {string} text Declaration
+	 * @param {Object} options Options, see #transform
+	 * @return {string}
+	 */
+	function flipWords( text, options ) {
+		var swaps = {
+				left: 'right',
+				right: 'left',
+				ltr: 'rtl',
+				rtl: 'ltr'
+			},
+			flipLeftRight = !options.disableRules || options.disableRules.indexOf( 'left-right' ) === -1,
+			nonSpace = [],
+			inUrl = [],
+			result = '',
+			pos = 0,
+			i, j, ch, word;
+
+		// Find which positions are followed by the rest of a URL: anything but spaces, quotes and
+		// parentheses, then maybe a quote and whitespace, and a closing parenthesis.
+		nonSpace[ text.length ] = text.length;
+		inUrl[ text.length ] = false;
+		for ( i = text.length - 1; i >= 0; i-- ) {
+			ch = text[ i ];
+			nonSpace[ i ] = /\s/.test( ch ) ? nonSpace[ i + 1 ] : i;
+			j = ch === '"' || ch === '\'' ? nonSpace[ i + 1 ] : nonSpace[ i ];
+			inUrl[ i ] = text[ j ] === ')' || ( !/[ "'()]/.test( ch ) && inUrl[ i + 1 ] );
+		}
+
+		for ( i = 0; i < text.length; i++ ) {
+			if ( i > 0 && /[a-z]/i.test( text[ i - 1 ] ) ) {
+				continue;
+			}
+			word = /^(?:left|right|ltr|rtl)/i.exec( text.slice( i, i + 5 ) );
+			if ( !word ) {
+				continue;
+			}
+			word = word[ 0 ].toLowerCase();
+			j = i + word.length;
+			if ( inUrl[ j ] ?
+				( word.length === 3 ? options.transformDirInUrl : options.transformEdgeInUrl ) :
+				( word.length > 3 && flipLeftRight && !/[a-z]/i.test( text[ j ] || '' ) )
+			) {
+				result += text.slice( pos, i ) + swaps[ word ];
+				pos = j;
+				i = j - 1;
+			}
+		}
+		return result + text.slice( pos );
+	}
+
+	/**
+	 * Transform a single declaration in a single pass, dispatching on the property name.
+	 *
+	 * Custom properties may hold blocks, like '--x: { float: left; }'. As with the rules, the
+	 * text before each block is kept, like a selector, and the declarations in and after the
+	 * blocks are transformed one by one.
+	 *
+	 * @private
+	 * @param {string} text Declaration, without semicolon
+	 * @param {Object} options Options, see #transform
+	 * @return {string} Transformed declaration
+	 */
+	function flipDeclaration( text, options ) {
+		var result = '',
+			start = 0,
+			parens = 0,
+			quote = null,
+			i, ch, end;
+
+		// Backticks can only occur in URLs, and are escaped as in #transformCss
+		text = text.split( '`' ).join( '%60' );
+		if ( text.indexOf( '{' ) === -1 ) {
+			return flipDeclarationPart( text, options );
+		}
+		for ( i = 0; i < text.length; i++ ) {
+			ch = text[ i ];
+			if ( quote ) {
+				if ( ch === '\\' ) {
+					i++;
+				} else if ( ch === quote ) {
+					quote = null;
+				}
+			} else if ( ch === '/' && text[ i + 1 ] === '*' ) {
+				end = text.indexOf( '*/', i + 2 );
+				i = end === -1 ? text.length : end + 1;
+			} else if ( ch === '\\' ) {
+				i++;
+			} else if ( ch === '"' || ch === '\'' ) {
+				quote = ch;
+			} else if ( ch === '(' ) {
+				parens++;
+			} else if ( ch === ')' ) {
+				parens = Math.max( parens - 1, 0 );
+			} else if ( parens === 0 && ( ch === '{' || ch === '}' || ch === ';' ) ) {
+				result += ( ch === '{' ?
+					text.slice( start, i ) :
+					flipDeclarationPart( text.slice( start, i ), options ) ) + ch;
+				start = i + 1;
+			}
+		}
+		return result + flipDeclarationPart( text.slice( start ), options );
+	}
+
+	/**
+	 * Transform a declaration without blocks in a single pass, see #flipDeclaration.
+	 *
+	 * @private
+	 * @param {string} text Declaration, without semicolon or backticks
+	 * @param {Object} options Options, see #transform
+	 * @return {string} Transformed declaration
+	 */
+	function flipDeclarationPart( text, options ) {
+		var comments = [],
+			disabled = options.disableRules || [],
+			result = '',
+			pos = 0,
+			end, colon, start, property, value, i, handler;
+
+		// Set comments aside
+		while ( ( start = text.indexOf( '/*', pos ) ) !== -1 ) {
+			end = text.indexOf( '*/', start + 2 );
+			end = end === -1 ? text.length : end + 2;
+			if ( end < text.length && noFlipCommentRegExp.test( text.slice( start, end ) ) ) {
+				// A @noflip comment protects the rest of the declaration
+				return flipDeclarationPart( text.slice( 0, start ), options ) + text.slice( start );
+			}
+			comments.push( text.slice( start, end ) );
+			result += text.slice( pos, start ) + commentToken;
+			pos = end;
+		}
+		text = flipWords( result + text.slice( pos ), options );
+
+		if ( disabled.indexOf( 'cursor' ) === -1 ) {
+			text = text.replace( /(^|[^a-zA-Z])([ns]?)([ew])-resize/gi, function ( match, before, ns, ew ) {
+				return before + ns + ( /e/i.test( ew ) ? 'w' : 'e' ) + '-resize';
+			} );
+		}
+
+		if ( disabled.indexOf( 'border-radius' ) === -1 ) {
+			text = text.replace( mozBorderRadiusCornerRegExp, swapMozBorderRadiusCorner );
+		}
+
+		colon = text.indexOf( ':' );
+		if ( colon !== -1 ) {
+			property = text.slice( 0, colon ).trim().toLowerCase();
+			// Split into the property and colon, the value, and the rest
+			start = colon + 1;
+			while ( /\s/.test( text[ start ] || '' ) ) {
+				start++;
+			}
+			end = text.length;
+			while ( end > start && /\s/.test( text[ end - 1 ] ) ) {
+				end--;
+			}
+			if ( text.slice( end - 10, end ).toLowerCase() === '!important' ) {
+				end -= 10;
+				while ( end > start && /\s/.test( text[ end - 1 ] ) ) {
+					end--;
+				}
+			}
+			value = text.slice( start, end );
+
+			if ( property.slice( -9 ) === 'direction' && disabled.indexOf( 'direction' ) === -1 ) {
+				value = value.replace( /^(?:ltr|rtl)/i, function ( dir ) {
+					return dir.toLowerCase() === 'ltr' ? 'rtl' : 'ltr';
+				} );
+			}
+			for ( i = 0; i < declarationHandlers.length; i++ ) {
+				handler = declarationHandlers[ i ];
+				if ( handler[ 1 ].test( property ) && disabled.indexOf( handler[ 0 ] ) === -1 ) {
+					value = handler[ 2 ]( value, '', value );
+					break;
+				}
+			}
+			text = text.slice( 0, start ) + value + text.slice( end );
+		}
+
+		// Put comments back
+		return text.split( commentToken ).map( function ( part, j ) {
+			return ( j ? comments[ j - 1 ] : '' ) + part;
+		} ).join( '' );
+	}
+
+	/**
+	 * Transform a left-to-right stylesheet to right-to-left, in a single pass.
+	 *
+	 * Like #transformTree, but each declaration is transformed by the handler for its property,
+	 * instead of by each of the rules. This takes linear time. If custom rules, a tracker, URL
+	 * mappings, a grid mode, transformGradients or a vertical writing mode is given, this falls
+	 * back to #transformTree.
+	 *
+	 * @private
+	 * @param {string} css Stylesheet to transform
+	 * @param {Object} options Options, see #transform
+	 * @param {ChangeTracker|null} tracker Tracker to record the changes with
+	 * @return {string} Transformed stylesheet
+	 */
+	function transformSinglePass( css, options, tracker ) {
+		var edits = [];
+
+		if ( tracker || options.urlMappings || options.grid || options.transformGradients ||
+			( options.targetWritingMode && options.targetWritingMode !== 'rl-tb' ) ||
+			( options.rules && options.rules.length )
+		) {
+			return transformTree( css, options, tracker );
+		}
+
+		walkNodes( css, parseStylesheet( css ), function ( node, parent, replacement ) {
+			var text, flipped;
+
+			if ( node.type !== 'declaration' ) {
+				return;
+			}
+			text = css.slice( node.start, node.end );
+			if ( replacement !== null ) {
+				edits.push( getReplacementEdit( node, text, replacement ) );
+				return;
+			}
+			flipped = flipDeclaration( text, options );
+			if ( flipped !== text ) {
+				edits.push( { start: node.start, end: node.end, text: flipped } );
+			}
+		} );
+
+		return spliceEdits( css, edits );
+	}
+
+	/**
+	 * Add a direction to the selectors of a rule.
+	 *
+	 * The direction is added in :where(), so that the scoped rules have the same specificity as
+	 * the rule they are copied from.
+	 *
+	 * @private
+	 * @param {string} selectors Comma-separated list of selectors
+	 * @param {string} dir Direction, 'ltr' or 'rtl'
+	 * @param {Object} options Options, see #bidi
+	 * @param {boolean} nested Whether the rule is nested in another rule
+	 * @return {string} Scoped selectors
+	 */
+	function scopeSelectors( selectors, dir, options, nested ) {
+		var prefix = ':where(' + ( dir === 'ltr' ?
+			( options.ltrPrefix || '[dir="ltr"]' ) :
+			( options.rtlPrefix || '[dir="rtl"]' ) ) + ')';
+
+		return splitValue( selectors, /,/ ).map( function ( selector, i ) {
+			var space = /^\s*/.exec( selector )[ 0 ],
+				pseudoElement;
+
+			selector = selector.slice( space.length );
+			if ( i % 2 ) {
+				// Separator
+			} else if ( options.dirSelector === 'pseudo-class' ) {
+				// Pseudo-elements must come last
+				pseudoElement = ( bidiPseudoElementRegExp.exec( selector ) || [ '' ] )[ 0 ];
+				selector = selector.slice( 0, selector.length - pseudoElement.length ) +
+					':where(:dir(' + dir + '))' + pseudoElement;
+			} else if ( nested ) {
+				selector = prefix + ' ' + ( selector.indexOf( '&' ) === -1 ? '& ' : '' ) + selector;
+			} else if ( bidiRootRegExp.test( selector ) ) {
+				selector = selector.replace( bidiRootRegExp, '$&' + prefix );
+			} else {
+				selector = prefix + ' ' + selector;
+			}
+			return space + selector;
+		} ).join( '' );
+	}
+
+	/**
+	 * Get the group of properties that a property may override or be overridden by.
+	 *
+	 * This errs on the side of caution: 'margin' covers 'margin-left' and 'margin-inline-start',
+	 * but also 'border-color' covers 'border-radius'.
+	 *
+	 * @private
+	 * @param {string} property
+	 * @return {string} Name of the group, or 'all' for the all property
+	 */
+	function getPropertyGroup( property ) {
+		var name = property.toLowerCase().replace( /^-[a-z]+-/, '' );
+
+		if ( name.slice( 0, 2 ) === '--' ) {
+			return property;
+		}
+		if ( /^(?:left|right|top|bottom)$/.test( name ) ) {
+			return 'inset';
+		}
+		return name.split( '-' )[ 0 ];
+	}
+
+	/**
+	 * Get the whitespace that a line starts with, up to a position.
+	 *
+	 * @private
+	 * @param {string} css
+	 * @param {number} pos
+	 * @return {string|null} Indentation, or null if something else precedes the position
+	 */
+	function getIndentation( css, pos ) {
+		var indent = css.slice( css.lastIndexOf( '\n', pos - 1 ) + 1, pos );
+		return /^[ \t]*$/.test( indent ) ? indent : null;
+	}
+
+	/**
+	 * Find the text to remove to take a declaration out of its rule.
+	 *
+	 * This includes the semicolon and, if the declaration has a line of its own, that line.
+	 *
+	 * @private
+	 * @param {string} css
+	 * @param {Object} node Declaration node
+	 * @return {Object} Edit with start and end positions
+	 */
+	function getRemoval( css, node ) {
+		var start = node.start,
+			end = node.start + css.slice( node.start, node.end ).trim().length,
+			after = /^[ \t]*;?[ \t]*/.exec( css.slice( end ) )[ 0 ],
+			indent = getIndentation( css, start );
+
+		end += after.length;
+		if ( indent !== null && ( css[ end ] === '\n' || end === css.length ) ) {
+			start -= indent.length;
+			end = Math.min( end + 1, css.length );
+		} else if ( after.indexOf( ';' ) === -1 ) {
+			// Last declaration: keep the whitespace before the closing brace instead
+			end -= after.length;
+			while ( css[ start - 1 ] === ' ' || css[ start - 1 ] === '\t' ) {
+				start--;
+			}
+		}
+		return { start: start, end: end, text: '' };
+	}
+
+	/**
+	 * Create a stylesheet in which the direction-sensitive declarations are scoped to a direction.
+	 *
+	 * @private
+	 * @param {string} css Stylesheet
+	 * @param {Object} options Options, see #bidi
+	 * @return {string} Bidirectional stylesheet
+	 */
+	function transformBidi( css, options ) {
+		var edits = [],
+			// Rules that declarations may be moved out of, with their parents
+			scopes = [];
+
+		walkNodes( css, parseStylesheet( css ), function ( node, parent, replacement ) {
+			var text, flipped;
+
+			if ( node.type === 'rule' && node.children && !(
+				parent && parent.type === 'atrule' && /keyframes$/.test( parent.name )
+			) ) {
+				node.scope = { rule: node, parent: parent, flipped: false };
+				scopes.push( node.scope );
+			} else if ( node.type === 'declaration' && parent && parent.scope ) {
+				text = css.slice( node.start, node.end ).trim();
+				flipped = replacement !== null ?
+					replacement :
+					transformDeclaration( text, options, null );
+				if ( flipped !== text ) {
+					node.flipped = flipped;
+					parent.scope.flipped = true;
+				}
+			}
+		} );
+
+		scopes.forEach( function ( scope ) {
+			var rule = scope.rule,
+				originals = [],
+				flips = [],
+				removals = [],
+				groups = [],
+				multiline, indent, ruleIndent, separator, nested;
+
+			if ( !scope.flipped ) {
+				return;
+			}
+			rule.children.forEach( function ( node ) {
+				var text, group;
+
+				if ( node.type !== 'declaration' ) {
+					return;
+				}
+				text = css.slice( node.start, node.end ).trim();
+				group = getPropertyGroup( node.property );
+				if ( node.flipped !== undefined ) {
+					originals.push( text );
+					flips.push( node.flipped );
+					removals.push( getRemoval( css, node ) );
+					groups.push( group );
+					if ( indent === undefined ) {
+						indent = getIndentation( css, node.start );
+					}
+				} else if ( groups.length && ( group === 'all' || groups.indexOf( group ) !== -1 ) ) {
+					// Copy declarations that may override moved ones, to keep them in order
+					originals.push( text );
+					flips.push( text );
+				}
+			} );
+
+			multiline = css.slice( rule.start, rule.end ).indexOf( '\n' ) !== -1;
+			ruleIndent = getIndentation( css, rule.start ) || '';
+			separator = css.indexOf( '\n' ) !== -1 ? '\n' + ruleIndent : ' ';
+			nested = !!scope.parent && scope.parent.type === 'rule';
+
+			/**
+			 * @private
+			 * @param {string} dir
+			 * @param {string[]} declarations
+			 * @return {string}
+			 */
+			function createRule( dir, declarations ) {
+				var selectors = scopeSelectors( rule.prelude, dir, options, nested );
+				if ( multiline ) {
+					return selectors + ' {\n' + declarations.map( function ( declaration ) {
+						return ( indent || ruleIndent + '\t' ) + declaration + ';\n';
+					} ).join( '' ) + ruleIndent + '}';
+				}
+				return selectors + ' { ' + declarations.join( '; ' ) + '; }';
+			}
+
+			if ( removals.length === rule.children.length ) {
+				// Nothing would be left of the rule
+				edits.push( {
+					start: rule.start,
+					end: rule.end,
+					text: createRule( 'ltr', originals ) + separator + createRule( 'rtl', flips )
+				} );
+			} else {
+				edits.push.apply( edits, removals );
+				edits.push( {
+					start: rule.end,
+					end: rule.end,
+					text: separator + createRule( 'ltr', originals ) +
+						separator + createRule( 'rtl', flips )
+				} );
+			}
+		} );
+
+		// Insertions after a nested rule come before removals further in the parent rule
+		edits.sort( function ( a, b ) {
+			return a.start - b.start;
+		} );
+		return spliceEdits( css, edits );
+	}
+
+	// Physical properties and their logical equivalents
+	var logicalProperties = {
+		left: 'inset-inline-start',
+		right: 'inset-inline-end',
+		'border-top-left-radius': 'border-start-start-radius',
+		'border-top-right-radius': 'border-start-end-radius',
+		'border-bottom-left-radius': 'border-end-start-radius',
+		'border-bottom-right-radius': 'border-end-end-radius'
+	};
+	// Properties with physical keywords, and the logical equivalents of those keywords
+	var logicalValues = {
+		float: { left: 'inline-start', right: 'inline-end' },
+		clear: { left: 'inline-start', right: 'inline-end' },
+		'text-align': { left: 'start', right: 'end' },
+		'text-align-last': { left: 'start', right: 'end' }
+	};
+	// Four-value shorthands and their logical block and inline shorthands
+	var logicalShorthands = {
+		inset: [ 'inset-block', 'inset-inline' ]
+	};
+
+	[ 'margin', 'padding', 'scroll-margin', 'scroll-padding', 'border' ].forEach( function ( name ) {
+		var suffixes = name === 'border' ? [ '', '-color', '-style', '-width' ] : [ '' ];
+		suffixes.forEach( function ( suffix ) {
+			logicalProperties[ name + '-left' + suffix ] = name + '-inline-start' + suffix;
+			logicalProperties[ name + '-right' + suffix ] = name + '-inline-end' + suffix;
+			if ( name !== 'border' || suffix ) {
+				logicalShorthands[ name + suffix ] = [ name + '-block' + suffix, name + '-inline' + suffix ];
+			}
+		} );
+	} );
+
+	/**
+	 * @private
+	 * @param {Object} obj
+	 * @param {string} key
+	 * @return {boolean} Whether the object has its own property with the key
+	 */
+	function hasOwn( obj, key ) {
+		return Object.prototype.hasOwnProperty.call( obj, key );
+	}
+
+	/**
+	 * Replace physical properties and keywords in a declaration with logical ones.
+	 *
+	 * @private
+	 * @param {string} text Declaration, without semicolon
+	 * @param {string} separator Text to separate declarations with, if the declaration is
+	 *  expanded into several
+	 * @return {string} Converted declaration, or the same declaration if it has no physical
+	 *  properties or keywords, or no logical equivalent
+	 */
+	function convertDeclaration( text, separator ) {
+		var name = /^[-\w]*/.exec( text )[ 0 ],
+			property = name.toLowerCase(),
+			rest = text.slice( name.length ),
+			value = rest.replace( /^\s*:/, '' ),
+			important = /\s*!\s*important\s*$/i.exec( value ),
+			suffix = important ? important[ 0 ] : '',
+			parts, horizontal, vertical;
+
+		if ( value === rest ) {
+			// Not a declaration
+			return text;
+		}
+		value = value.slice( 0, value.length - suffix.length ).trim();
+
+		if ( hasOwn( logicalProperties, property ) ) {
+			return logicalProperties[ property ] + rest;
+		}
+		if ( hasOwn( logicalValues, property ) &&
+			hasOwn( logicalValues[ property ], value.toLowerCase() )
+		) {
+			return name + rest.replace( value, logicalValues[ property ][ value.toLowerCase() ] );
+		}
+		if ( hasOwn( logicalShorthands, property ) ) {
+			parts = splitSpaces( value );
+			if ( parts.length === 4 && parts[ 1 ] !== parts[ 3 ] ) {
+				return [
+					logicalShorthands[ property ][ 0 ] + ': ' + parts[ 0 ] + ' ' + parts[ 2 ] + suffix,
+					logicalShorthands[ property ][ 1 ] + ': ' + parts[ 3 ] + ' ' + parts[ 1 ] + suffix
+				].join( separator );
+			}
+			return text;
+		}
+		if ( property === 'border-radius' ) {
+			parts = splitValue( value, /\// );
+			horizontal = getCorners( parts[ 0 ] );
+			vertical = parts.length === 3 ? getCorners( parts[ 2 ] ) : horizontal;
+			if ( parts.length > 3 || !horizontal || !vertical || (
+				horizontal[ 0 ] === horizontal[ 1 ] && horizontal[ 2 ] === horizontal[ 3 ] &&
+				vertical[ 0 ] === vertical[ 1 ] && vertical[ 2 ] === vertical[ 3 ]
+			) ) {
+				return text;
+			}
+			return [ 'start-start', 'start-end', 'end-end', 'end-start' ].map( function ( corner, i ) {
+				return 'border-' + corner + '-radius: ' + horizontal[ i ] +
+					( vertical[ i ] === horizontal[ i ] ? '' : ' ' + vertical[ i ] ) + suffix;
+			} ).join( separator );
+		}
+		if ( /^(?:transition(?:-property)?|will-change)$/.test( property ) ) {
+			// Property names in the value
+			return name + rest.replace( /[-\w]+/g, function ( ident ) {
+				return hasOwn( logicalProperties, ident.toLowerCase() ) ?
+					logicalProperties[ ident.toLowerCase() ] :
+					ident;
+			} );
+		}
+		return text;
+	}
+
+	/**
+	 * Convert a stylesheet to logical properties.
+	 *
+	 * @private
+	 * @param {string} css Stylesheet
+	 * @param {Object} options Options, see #toLogical
+	 * @return {Object} Converted stylesheet (css) and unconverted declarations (unconverted)
+	 */
+	function transformLogical( css, options ) {
+		var edits = [],
+			unconverted = [],
+			locate = createLocator( css );
+
+		walkNodes( css, parseStylesheet( css ), function ( node, parent, replacement ) {
+			var text, indent, converted, pos;
+
+			if ( node.type !== 'declaration' ) {
+				return;
+			}
+			text = css.slice( node.start, node.end ).trim();
+			if ( replacement !== null ) {
+				// The replacement from a @rtl comment can't be expressed with logical properties
+				converted = text;
+			} else {
+				indent = getIndentation( css, node.start );
+				converted = convertDeclaration( text, indent === null ? '; ' : ';\n' + indent );
+			}
+			if ( converted !== text ) {
+				edits.push( { start: node.start, end: node.start + text.length, text: converted } );
+			}
+			// Whatever would still be flipped has no logical equivalent
+			if ( replacement !== null ||
+				transformDeclaration( converted, options, null ) !== converted
+			) {
+				pos = locate( node.start );
+				unconverted.push( {
+					property: node.property,
+					value: node.value,
+					start: node.start,
+					end: node.start + text.length,
+					line: pos[ 0 ] + 1,
+					column: pos[ 1 ] + 1
+				} );
+			}
+		} );
+
+		return {
+			css: spliceEdits( css, edits ),
+			unconverted: unconverted
+		};
+	}
+
+	/**
+	 * Check whether the horizontal position of any layer of a background is a length, which
+	 * can't be mirrored reliably, for example in sprites.
+	 *
+	 * @private
+	 * @param {string} value
+	 * @return {boolean}
+	 */
+	function hasLengthPosition( value ) {
+		return splitValue( value, /,/ ).some( function ( layer, i ) {
+			var parts = splitValue( layer.trim(), /[\s/]/ ),
+				j;
+			if ( i % 2 ) {
+				// Separator
+				return false;
+			}
+			for ( j = 0; j < parts.length; j += 2 ) {
+				if ( positionKeywordRegExp.test( parts[ j ] ) ||
+					( j > 0 && parts[ j - 1 ].indexOf( '/' ) !== -1 )
+				) {
+					return false;
+				}
+				if ( lengthRegExp.test( parts[ j ] ) ) {
+					return parts[ j ].slice( -1 ) !== '%' && parseFloat( parts[ j ] ) !== 0;
+				}
+			}
+			return false;
+		} );
+	}
+
+	/**
+	 * Check whether a translation has a horizontal percentage.
+	 *
+	 * @private
+	 * @param {string} property Property name, in lowercase and without a vendor prefix
+	 * @param {string} value
+	 * @return {boolean}
+	 */
+	function hasTranslatePercentage( property, value ) {
+		var translateRegExp = /(?:^|[^-\w])translate(?:x|3d)?\(\s*(-?[0-9.]+%)/gi,
+			match;
+
+		if ( property === 'translate' ) {
+			match = splitSpaces( value )[ 0 ];
+			return match.slice( -1 ) === '%' && parseFloat( match ) !== 0;
+		}
+		if ( property !== 'transform' ) {
+			return false;
+		}
+		while ( ( match = translateRegExp.exec( value ) ) ) {
+			if ( parseFloat( match[ 1 ] ) !== 0 ) {
+				return true;
+			}
+		}
+		return false;
+	}
+
+	/**
+	 * Check whether a clip rectangle has different right and left edges. Both are offsets from
+	 * the left edge, so mirroring them needs the width of the element.
+	 *
+	 * @private
+	 * @param {string} value
+	 * @return {boolean}
+	 */
+	function hasClipRect( value ) {
+		var match = /^rect\(([^()]*)\)$/i.exec( value.trim() ),
+			parts = match ? match[ 1 ].trim().split( /\s*,\s*|\s+/ ) : [];
+
+		return parts.length === 4 && parts[ 1 ].toLowerCase() !== parts[ 3 ].toLowerCase();
+	}
+
+	/**
+	 * Find declarations that can't be flipped reliably.
+	 *
+	 * @private
+	 * @param {string} css Stylesheet
+	 * @param {Object} options Options, see #transform
+	 * @return {Object[]} Problems, see #lint
+	 */
+	function lintStylesheet( css, options ) {
+		var problems = [],
+			locate = createLocator( css );
+
+		walkNodes( css, parseStylesheet( css ), function ( node, parent, replacement ) {
+			var text, property, name, flipped, pos;
+
+			/**
+			 * @private
+			 * @param {string} code
+			 * @param {string} reason
+			 */
+			function report( code, reason ) {
+				pos = pos || locate( node.start );
+				problems.push( {
+					code: code,
+					reason: reason,
+					property: node.property,
+					value: node.value,
+					start: node.start,
+					end: node.start + text.length,
+					line: pos[ 0 ] + 1,
+					column: pos[ 1 ] + 1
+				} );
+			}
+
+			if ( node.type !== 'declaration' || replacement !== null ) {
+				return;
+			}
+			text = css.slice( node.start, node.end ).trim();
+			property = node.property.toLowerCase();
+			name = property.replace( /^-(?:webkit|moz|ms|o)-/, '' );
+			flipped = transformDeclaration( text, options, null );
+
+			if ( flipped === text && /(?:^|[^-\w])var\(/i.test( node.value ) &&
+				/^(?:margin|padding|inset|scroll-margin|scroll-padding|border-(?:width|style|color|radius)|(?:border-image|mask-border)(?:-slice|-width|-outset)?|box-shadow|text-shadow|transform|transform-origin|translate|rotate|float|clear|text-align|direction|cursor|background|background-position|background-position-x|mask|mask-position|object-position|offset-position|perspective-origin)$/.test( name )
+			) {
+				report( 'var', 'The value uses var(), which may hide values that need to be flipped' );
+			}
+			if ( /^(?:background|background-position|background-position-x|mask|mask-position)$/.test( name ) &&
+				hasLengthPosition( node.value )
+			) {
+				report( 'length-position', 'The horizontal position is a length, which is only ' +
+					'mirrored from the other edge, not within the image (for example in sprites)' );
+			}
+			if ( hasTranslatePercentage( name, node.value ) ) {
+				report( 'translate-percentage', 'The translation is a percentage of the element ' +
+					'size, which often goes with a position that is set elsewhere, like in JavaScript' );
+			}
+			if ( property === 'clip' && hasClipRect( node.value ) ) {
+				report( 'clip-rect', 'The right and left edges of the clip rectangle are offsets ' +
+					'from the left edge, which can\'t be mirrored without the element width' );
+			}
+			if ( name !== property && /left|right/.test( name ) ) {
+				report( 'vendor-property', flipped === text ?
+					'The vendor-prefixed property mentions left or right, but isn\'t flipped' :
+					'The vendor-prefixed property mentions left or right, and is flipped without ' +
+						'knowing whether the flipped property exists' );
+			}
+		} );
+
+		return problems;
+	}
+
+	/**
+	 * Get the declarations of a stylesheet that transform would change on their own.
+	 *
+	 * Declarations protected by @noflip and replaced by @rtl comments are left out.
+	 *
+	 * @private
+	 * @param {string} css Stylesheet
+	 * @return {Object[]} Declaration nodes, from #parseStylesheet
+	 */
+	function getFlippableDeclarations( css ) {
+		var declarations = [];
+
+		walkNodes( css, parseStylesheet( css ), function ( node, parent, replacement ) {
+			if ( node.type === 'declaration' && replacement === null ) {
+				declarations.push( node );
+			}
+		} );
+		return declarations;
+	}
+
+	/**
+	 * Normalize a value for comparison, ignoring whitespace and case.
+	 *
+	 * @private
+	 * @param {string} value
+	 * @return {string} Normalized value
+	 */
+	function normalizeValue( value ) {
+		return value.trim().replace( /\s+/g, ' ' ).replace( /\s?([,/()])\s?/g, '$1' ).toLowerCase();
+	}
+
+	/**
+	 * Find declarations that don't survive transforming a stylesheet twice.
+	 *
+	 * @private
+	 * @param {string} css Stylesheet
+	 * @param {Object} options Options, see #transform
+	 * @return {Object[]} Problems, see #verifyRoundTrip
+	 */
+	function verifyStylesheet( css, options ) {
+		var result = run( run( css, options, null ), options, null ),
+			locate = createLocator( css ),
+			results, problems = [];
+
+		if ( result === css ) {
+			return problems;
+		}
+		results = getFlippableDeclarations( result );
+		getFlippableDeclarations( css ).forEach( function ( node, i ) {
+			var other = results[ i ],
+				text = css.slice( node.start, node.end ).trim(),
+				pos;
+
+			/**
+			 * @private
+			 * @param {string} code
+			 * @param {string} reason
+			 */
+			function report( code, reason ) {
+				pos = locate( node.start );
+				problems.push( {
+					code: code,
+					reason: reason,
+					property: node.property,
+					value: node.value,
+					roundTrip: other ? result.slice( other.start, other.end ).trim() : '',
+					start: node.start,
+					end: node.start + text.length,
+					line: pos[ 0 ] + 1,
+					column: pos[ 1 ] + 1
+				} );
+			}
+
+			if ( !other || other.property.toLowerCase() !== node.property.toLowerCase() ) {
+				report( 'property', 'The property is different after the round trip' );
+			} else if ( normalizeValue( other.value ) !== normalizeValue( node.value ) ) {
+				report( 'value', 'The value is different after the round trip' );
+			} else if ( other.value !== node.value || other.property !== node.property ) {
+				report( 'format', 'The declaration means the same after the round trip, but its ' +
+					'whitespace or case is different' );
+			}
+		} );
+
+		return problems;
+	}
+
+	/**
+	 * Split a declaration into its property and value.
+	 *
+	 * @private
+	 * @param {string} text Declaration, without semicolon
+	 * @return {Object} Property (property), value (value), and whether the declaration has
+	 *  !important (important)
+	 */
+	function splitDeclaration( text ) {
+		var index = text.indexOf( ':' ),
+			value = text.slice( index + 1 ).trim(),
+			important = /\s*!\s*important$/i.exec( value );
+
+		return {
+			property: text.slice( 0, index ).trim(),
+			value: important ? value.slice( 0, important.index ) : value,
+			important: !!important
+		};
+	}
+
+	/**
+	 * Transform the property and value of a declaration.
+	 *
+	 * @private
+	 * @param {string} property
+	 * @param {string} value
+	 * @param {Object} options Options, see #transform
+	 * @return {Object} Transformed property (property) and value (value)
+	 */
+	function flipPropertyValue( property, value, options ) {
+		var text = transformDeclaration( property + ': ' + value, options, null ),
+			index = text.indexOf( ':' );
+
+		return {
+			property: text.slice( 0, index ).trim(),
+			value: text.slice( index + 1 ).replace( /^ /, '' )
+		};
+	}
+
+	/**
+	 * Convert a property name from a style object to CSS.
+	 *
+	 * For example, marginLeft becomes margin-left, WebkitTransform becomes -webkit-transform and
+	 * msTransform becomes -ms-transform. Names with a hyphen are already in CSS.
+	 *
+	 * @private
+	 * @param {string} key
+	 * @return {string} Property name
+	 */
+	function toPropertyName( key ) {
+		if ( key.indexOf( '-' ) !== -1 ) {
+			return key;
+		}
+		return key.replace( /^(?:Webkit|Moz|O|ms)(?=[A-Z])/, function ( prefix ) {
+			return '-' + prefix.toLowerCase();
+		} ).replace( /[A-Z]/g, function ( ch ) {
+			return '-' + ch.toLowerCase();
+		} );
+	}
+
+	/**
+	 * Convert a CSS property name to camel case, as in style objects.
+	 *
+	 * @private
+	 * @param {string} property
+	 * @return {string} Key
+	 */
+	function toCamelCase( property ) {
+		return property.replace( /^-ms-/, 'ms-' ).replace( /-([a-z])/g, function ( match, ch ) {
+			return ch.toUpperCase();
+		} );
+	}
+
+	/**
+	 * Transform an object of declarations.
+	 *
+	 * @private
+	 * @param {Object} obj Declarations, see #transformDeclarations
+	 * @param {Object} options Options, see #transform
+	 * @return {Object} Transformed declarations
+	 */
+	function transformObject( obj, options ) {
+		var result = {};
+
+		Object.keys( obj ).forEach( function ( key ) {
+			var value = obj[ key ],
+				property = toPropertyName( key ),
+				values, flipped;
+
+			if ( value && typeof value === 'object' && !Array.isArray( value ) ) {
+				// Nested rule, like ':hover' or '@media (min-width: 40em)'
+				result[ key ] = transformObject( value, options );
+				return;
+			}
+			values = Array.isArray( value ) ? value : [ value ];
+			flipped = values.map( function ( item ) {
+				// Other values, like null, are kept, but the property is still flipped
+				var text = typeof item === 'string' || typeof item === 'number' ?
+						String( item ) : 'initial',
+					decl = flipPropertyValue( property, text, options );
+
+				property = decl.property;
+				text = decl.value;
+				if ( typeof item === 'string' ) {
+					return text;
+				}
+				if ( typeof item !== 'number' || text === String( item ) ) {
+					return item;
+				}
+				// A number stays a number, like 5 to -5, unless it becomes a string like '100%'
+				return String( Number( text ) ) === text ? Number( text ) : text;
+			} );
+			if ( property !== toPropertyName( key ) ) {
+				key = key.indexOf( '-' ) === -1 ? toCamelCase( property ) : property;
+			}
+			result[ key ] = Array.isArray( value ) ? flipped : flipped[ 0 ];
+		} );
+
+		return result;
+	}
+
+	/**
+	 * Check whether a DOM node is a style element.
+	 *
+	 * @private
+	 * @param {Object} node
+	 * @return {boolean}
+	 */
+	function isStyleElement( node ) {
+		return node.nodeType === 1 && node.nodeName.toLowerCase() === 'style';
+	}
+
+	/**
+	 * Get the stylesheet of a CSSOM target, or the target itself.
+	 *
+	 * @private
+	 * @param {Object} target Element with a stylesheet (like a link element), stylesheet or rule
+	 * @return {Object} Stylesheet or rule
+	 */
+	function getCssomTarget( target ) {
+		if ( target.nodeType !== 1 ) {
+			return target;
+		}
+		if ( !target.sheet ) {
+			throw new Error( 'The stylesheet of the element is not available' );
+		}
+		return target.sheet;
+	}
+
+	/**
+	 * Flip the declarations of a CSSOM stylesheet or rule in place, including those of nested
+	 * rules, like the rules of @media blocks and keyframes.
+	 *
+	 * @private
+	 * @param {Object} node CSSStyleSheet or CSSRule
+	 * @param {Object} options Options, see #transform
+	 * @param {Array[]} edits List to add the changed style declarations to, each with its
+	 *  original text
+	 */
+	function flipCssomRules( node, options, edits ) {
+		var text, flipped, i;
+
+		if ( node.style ) {
+			text = node.style.cssText;
+			// Terminate the last declaration, as the rules expect
+			flipped = run( text + ';', options, null ).slice( 0, -1 );
+			if ( flipped !== text ) {
+				node.style.cssText = flipped;
+				edits.push( [ node.style, text ] );
+			}
+		}
+		// Leave the stylesheets of @import rules alone
+		if ( node.cssRules && !node.styleSheet ) {
+			for ( i = 0; i < node.cssRules.length; i++ ) {
+				flipCssomRules( node.cssRules[ i ], options, edits );
+			}
+		}
+	}
+
+	/**
+	 * Flip styles in the browser, in place.
+	 *
+	 * @private
+	 * @param {Object} target See #flipStyles
+	 * @param {Object} [options] Options, see #transform (except the source map options)
+	 * @return {Function} Function that restores the original styles
+	 */
+	function flipStyles( target, options ) {
+		var edits = [],
+			text;
+
+		options = options || {};
+		if ( isStyleElement( target ) ) {
+			// The text of style elements still has its comments, so @noflip works
+			text = target.textContent;
+			target.textContent = run( text, options, null );
+			return function () {
+				target.textContent = text;
+			};
+		}
+		flipCssomRules( getCssomTarget( target ), options, edits );
+		return function () {
+			edits.forEach( function ( edit ) {
+				edit[ 0 ].cssText = edit[ 1 ];
+			} );
+		};
+	}
+
+	/**
+	 * Add a rule at the end of a CSSOM stylesheet, unless the browser rejects it.
+	 *
+	 * Browsers reject rules they don't support, like at-rules they don't know or selectors with
+	 * the prefixes of other browsers, as they would drop them from a stylesheet.
+	 *
+	 * @private
+	 * @param {Object} sheet CSSStyleSheet
+	 * @param {string} text Rule
+	 */
+	function appendRule( sheet, text ) {
+		try {
+			sheet.insertRule( text, sheet.cssRules.length );
+		} catch ( e ) {
+			// Skip the rule
+		}
+	}
+
+	/**
+	 * Create a flipped copy of a stylesheet in the browser.
+	 *
+	 * @private
+	 * @param {Object} target See #cloneStyleSheet
+	 * @param {Object} [options] Options, see #transform (except the source map options)
+	 * @return {Object} New CSSStyleSheet
+	 */
+	function cloneStyleSheet( target, options ) {
+		var clone, css;
+
+		options = options || {};
+		if ( isStyleElement( target ) ) {
+			clone = new target.ownerDocument.defaultView.CSSStyleSheet();
+			css = run( target.textContent, options, null );
+			parseStylesheet( css ).forEach( function ( node ) {
+				// Constructed stylesheets can't have @import rules
+				if ( node.type === 'rule' ||
+					( node.type === 'atrule' && !/^(?:import|charset)$/i.test( node.name ) )
+				) {
+					appendRule( clone, css.slice( node.start, node.end ) );
+				}
+			} );
+			return clone;
+		}
+		target = getCssomTarget( target );
+		clone = new target.constructor();
+		Array.prototype.forEach.call( target.cssRules, function ( rule ) {
+			if ( !rule.styleSheet ) {
+				appendRule( clone, rule.cssText );
+			}
+		} );
+		flipCssomRules( clone, options, [] );
+		return clone;
+	}
+
+	/**
+	 * Convert PostCSS nodes to nodes like those of #parseStylesheet, for #walkNodes.
+	 *
+	 * The text of comments is added to a stylesheet of their own, for #walkNodes to read the
+	 * directives from. Other nodes keep their PostCSS node in the node property.
+	 *
+	 * @private
+	 * @param {Object[]} list PostCSS nodes
+	 * @param {Object} comments Object with the stylesheet of comments (css)
+	 * @return {Object[]} Nodes
+	 */
+	function convertPostcssNodes( list, comments ) {
+		return list.map( function ( node ) {
+			var start = comments.css.length;
+
+			if ( node.type === 'comment' ) {
+				comments.css += node.toString();
+				return { type: 'comment', start: start, end: comments.css.length };
+			}
+			return {
+				type: node.type === 'decl' ? 'declaration' : node.type,
+				name: node.name,
+				node: node,
+				children: node.nodes ? convertPostcssNodes( node.nodes, comments ) : null
+			};
+		} );
+	}
+
+	/**
+	 * Transform a PostCSS declaration node.
+	 *
+	 * @private
+	 * @param {Object} decl PostCSS declaration node
+	 * @param {Object} options Options, see #transform
+	 * @param {string|null} replacement Replacement from a @rtl comment
+	 * @return {boolean} Whether the declaration changed
+	 */
+	function transformPostcssDeclaration( decl, options, replacement ) {
+		// Keep comments in the value
+		var value = decl.raws.value && decl.raws.value.value === decl.value ?
+				decl.raws.value.raw :
+				decl.value,
+			flipped = replacement !== null ?
+				splitDeclaration( replacement ) :
+				flipPropertyValue( decl.prop, value, options );
+
+		if ( flipped.property === decl.prop && flipped.value === value &&
+			( replacement === null || flipped.important === !!decl.important )
+		) {
+			return false;
+		}
+		decl.prop = flipped.property;
+		decl.value = flipped.value;
+		if ( replacement !== null ) {
+			decl.important = flipped.important;
+		}
+		return true;
+	}
+
+	/**
+	 * Transform a PostCSS tree from left-to-right to right-to-left, in place.
+	 *
+	 * @private
+	 * @param {Object} root PostCSS root node
+	 * @param {Object} options Options, see #postcss
+	 */
+	function transformPostcssRoot( root, options ) {
+		var comments = { css: '' },
+			nodes = convertPostcssNodes( root.nodes, comments ),
+			vertical = !!options.targetWritingMode && options.targetWritingMode !== 'rl-tb',
+			fontFaceOptions = Object.create( options );
+
+		// URLs in @font-face rules are left alone without the mapAllUrls option
+		fontFaceOptions.urlMappings = options.mapAllUrls ? options.urlMappings : null;
+
+		walkNodes( comments.css, nodes, function ( item, parent, replacement ) {
+			var node = item.node;
+
+			if ( item.type === 'atrule' && item.name === 'import' && options.urlMappings &&
+				options.mapAllUrls && !vertical
+			) {
+				node.params = mapUrls( node.params, options.urlMappings, true );
+			}
+			if ( item.type === 'declaration' ) {
+				transformPostcssDeclaration(
+					node,
+					parent && parent.type === 'atrule' && parent.name === 'font-face' ?
+						fontFaceOptions :
+						options,
+					replacement
+				);
+			}
+		} );
+	}
+
+	/**
+	 * Scope the direction-sensitive declarations of a PostCSS tree to a direction, in place.
+	 *
+	 * @private
+	 * @param {Object} root PostCSS root node
+	 * @param {Object} options Options, see #postcss
+	 */
+	function transformPostcssBidi( root, options ) {
+		var comments = { css: '' },
+			nodes = convertPostcssNodes( root.nodes, comments ),
+			// Rules that declarations may be moved out of, with their parents, see #transformBidi
+			scopes = [];
+
+		walkNodes( comments.css, nodes, function ( item, parent, replacement ) {
+			var flipped;
+
+			if ( item.type === 'rule' && !(
+				parent && parent.type === 'atrule' && /keyframes$/.test( parent.name )
+			) ) {
+				item.scope = { rule: item, parent: parent, flipped: false };
+				scopes.push( item.scope );
+			} else if ( item.type === 'declaration' && parent && parent.scope ) {
+				flipped = item.node.clone();
+				if ( transformPostcssDeclaration( flipped, options, replacement ) ) {
+					item.flipped = flipped;
+					parent.scope.flipped = true;
+				}
+			}
+		} );
+
+		scopes.forEach( function ( scope ) {
+			var rule = scope.rule.node,
+				pairs = [],
+				groups = [],
+				ltrRule, rtlRule, nested, before;
+
+			if ( !scope.flipped ) {
+				return;
+			}
+			scope.rule.children.forEach( function ( child ) {
+				var group;
+
+				if ( child.type !== 'declaration' ) {
+					return;
+				}
+				group = getPropertyGroup( child.node.prop );
+				if ( child.flipped ) {
+					pairs.push( [ child.node, child.flipped, true ] );
+					groups.push( group );
+				} else if ( groups.length && ( group === 'all' || groups.indexOf( group ) !== -1 ) ) {
+					// Copy declarations that may override moved ones, to keep them in order
+					pairs.push( [ child.node, child.node.clone(), false ] );
+				}
+			} );
+
+			nested = !!scope.parent && scope.parent.type === 'rule';
+			before = pairs[ 0 ][ 0 ].raws.before;
+			ltrRule = rule.clone( { selector: scopeSelectors( rule.selector, 'ltr', options, nested ) } );
+			rtlRule = rule.clone( { selector: scopeSelectors( rule.selector, 'rtl', options, nested ) } );
+			ltrRule.removeAll();
+			rtlRule.removeAll();
+			// Put the new rules on lines of their own, indented like the rule
+			ltrRule.raws.before = rtlRule.raws.before = '\n' + /[^\n]*$/.exec( rule.raws.before || '' )[ 0 ];
+			pairs.forEach( function ( pair ) {
+				var original = pair[ 0 ].clone();
+
+				// Indent the declarations like the first one
+				original.raws.before = pair[ 1 ].raws.before = before;
+				ltrRule.append( original );
+				rtlRule.append( pair[ 1 ] );
+				if ( pair[ 2 ] ) {
+					pair[ 0 ].remove();
+				}
+			} );
+			rule.after( rtlRule );
+			rule.after( ltrRule );
+			if ( !rule.nodes.length ) {
+				// Nothing is left of the rule
+				rule.remove();
+			}
+		} );
+	}
+
+	/**
+	 * Transform a stylesheet with the engine selected in the options.
+	 *
+	 * @private
+	 * @param {string} css Stylesheet to transform
+	 * @param {Object} options Options, see #transform
+	 * @param {ChangeTracker|null} tracker Tracker to record the changes with
+	 * @return {string} Transformed stylesheet
+	 * @throws {Error} If the engine is unknown
+	 */
+	function run( css, options, tracker ) {
+		switch ( options.engine || 'regex' ) {
+			case 'regex':
+				return transformCss( css, options, tracker );
+			case 'parser':
+				return transformTree( css, options, tracker );
+			case 'single-pass':
+				return transformSinglePass( css, options, tracker );
+			default:
+				throw new Error( 'Unknown engine "' + options.engine + '"' );
+		}
+	}
+
+	return {
+		/**
+		 * Transform a left-to-right stylesheet to right-to-left.
+		 *
+		 * @param {string} css Stylesheet to transform
+		 * @param {Object} options Options
+		 * @param {boolean} [options.transformDirInUrl=false] Transform directions in URLs
+		 * (e.g. 'ltr', 'rtl')
+		 * @param {boolean} [options.transformEdgeInUrl=false] Transform edges in URLs
+		 * (e.g. 'left', 'right')
+		 * @param {Array[]|Function} [options.urlMappings] More ways to transform URLs: pairs of
+		 * strings to swap, pairs of a regular expression and a replacement, or a function that
+		 * takes a URL and returns the new URL
+		 * @param {boolean} [options.mapAllUrls=false] Also apply the URL mappings to @import
+		 * rules, @font-face rules and strings in image-set()
+		 * @param {boolean} [options.sourceMap=false] Generate a source map
+		 * @param {Object|string} [options.inputSourceMap] Source map of the stylesheet to
+		 * transform, to compose with the generated source map
+		 * @param {string} [options.sourceFileName='input.css'] Name of the stylesheet to
+		 * transform, for the generated source map
+		 * @param {Object[]} [options.rules] Custom flip rules, applied in order after comments
+		 * and @noflip rules and declarations have been set aside, so they don't need to handle
+		 * those. Each rule has a name, a pattern and a replacement as for String#replace (use
+		 * #helpers to compute new values), and may name a rule to apply it before, instead of
+		 * after all other rules.
+		 * @param {string[]} [options.disableRules] Names of rules to skip (see #getRuleNames)
+		 * @param {string} [options.engine='regex'] Engine to use: 'regex', which processes the
+		 * stylesheet as a whole, 'parser', which parses the stylesheet and processes each
+		 * declaration on its own, or 'single-pass', which processes each declaration with the
+		 * handler for its property, in linear time
+		 * @param {string} [options.targetWritingMode='rl-tb'] Writing mode to transform to:
+		 * 'rl-tb' for right-to-left, or 'tb-rl' or 'tb-lr' for vertical text. The vertical modes
+		 * only map sides in property names, four-value notations, border radii and cursors, and
+		 * ignore the URL options, the grid and transformGradients options and custom rules.
+		 * @param {string} [options.grid] Mirror grids too: 'areas' reverses the row strings of
+		 * grid-template-areas, and 'columns' also reverses column track lists and mirrors column
+		 * line numbers in grid-column, grid-column-start, grid-column-end and grid-area. Grids
+		 * follow the direction already, so only use this for grids that don't.
+		 * @param {boolean} [options.transformGradients=false] Mirror the angles of linear
+		 * gradients, the starting angles of conic gradients, and the horizontal positions of
+		 * radial and conic gradients, in backgrounds, masks and border images
+		 * @return {string|Object} Transformed stylesheet, or if the sourceMap option is set,
+		 * an object with the transformed stylesheet (css) and the source map (map)
+		 */
+		'transform': function ( css, options ) { // eslint-disable-line quote-props
+			// Use single quotes in this object literal key for closure compiler.
+			var tracker;
+
+			if ( !options.sourceMap ) {
+				return run( css, options, null );
+			}
+			tracker = new ChangeTracker( css );
+			return {
+				css: run( css, options, tracker ),
+				map: generateSourceMap( tracker.getPieces(), css, options )
+			};
+		},
+
+		/**
+		 * List the changes that transform would make to a stylesheet.
+		 *
+		 * Each change has the following properties:
+		 *
+		 * - rule: Name of the rule that made the change (e.g. 'left-right', 'four-notation')
+		 * - start: Offset of the original text in the stylesheet
+		 * - end: Offset of the end of the original text in the stylesheet
+		 * - line: Line of the original text, starting at 1
+		 * - column: Column of the original text, starting at 1
+		 * - original: Original text
+		 * - replacement: Text it is replaced with
+		 *
+		 * @param {string} css Stylesheet to analyze
+		 * @param {Object} options Options, see #transform
+		 * @return {Object[]} List of changes, in order
+		 */
+		'analyze': function ( css, options ) { // eslint-disable-line quote-props
+			var tracker = new ChangeTracker( css ),
+				locate = createLocator( css );
+
+			run( css, options, tracker );
+			return tracker.getPieces().filter( function ( piece ) {
+				return piece.changed;
+			} ).map( function ( piece ) {
+				var pos = locate( piece.start );
+				return {
+					rule: piece.rule,
+					start: piece.start,
+					end: piece.end,
+					line: pos[ 0 ] + 1,
+					column: pos[ 1 ] + 1,
+					original: css.slice( piece.start, piece.end ),
+					replacement: piece.text
+				};
+			} );
+		},
+
+		/**
+		 * Create a stylesheet that works in both directions.
+		 *
+		 * Declarations that transform would change are moved out of their rule into two copies
+		 * of it, one scoped to left-to-right with the original declarations and one scoped to
+		 * right-to-left with the transformed declarations. The copies follow the rule and have
+		 * the same specificity. Later declarations that may override moved ones are copied to
+		 * them too, to keep their order. Everything else, including comments, is left as is.
+		 * Declarations that aren't in a rule, like those of @font-face, are never changed.
+		 *
+		 * @param {string} css Stylesheet to transform
+		 * @param {Object} options Options, see #transform (except the source map options)
+		 * @param {string} [options.dirSelector='attribute'] How to scope rules: 'attribute',
+		 * which prefixes selectors with ltrPrefix or rtlPrefix, or 'pseudo-class', which adds
+		 * :dir(ltr) or :dir(rtl) to them. Either way, the direction is added in :where().
+		 * @param {string} [options.ltrPrefix] Selector for left-to-right content, by default
+		 * [dir="ltr"]
+		 * @param {string} [options.rtlPrefix] Selector for right-to-left content, by default
+		 * [dir="rtl"]
+		 * @return {string} Bidirectional stylesheet
+		 */
+		'bidi': function ( css, options ) { // eslint-disable-line quote-props
+			return transformBidi( css, options );
+		},
+
+		/**
+		 * Convert physical properties and keywords to their logical equivalents.
+		 *
+		 * For example, margin-left becomes margin-inline-start, and float: right becomes
+		 * float: inline-end. Four-value margins, paddings, borders and border radii that aren't
+		 * symmetric are expanded into logical properties. Declarations protected by @noflip are
+		 * left as is, and so are declarations replaced by @rtl comments.
+		 *
+		 * Declarations that transform would still flip after the conversion, and those replaced
+		 * by @rtl comments, have no logical equivalent, and are listed with the following
+		 * properties:
+		 *
+		 * - property: Property name
+		 * - value: Value
+		 * - start: Offset of the declaration in the stylesheet
+		 * - end: Offset of the end of the declaration in the stylesheet
+		 * - line: Line of the declaration, starting at 1
+		 * - column: Column of the declaration, starting at 1
+		 *
+		 * @param {string} css Stylesheet to convert
+		 * @param {Object} options Options, see #transform (except the source map options).
+		 * These only affect which declarations are listed as unconverted.
+		 * @return {Object} Object with the converted stylesheet (css), and the declarations that
+		 * have no logical equivalent (unconverted)
+		 */
+		'toLogical': function ( css, options ) { // eslint-disable-line quote-props
+			return transformLogical( css, options );
+		},
+
+		/**
+		 * Find declarations that can't be flipped reliably.
+		 *
+		 * Each problem has the following properties:
+		 *
+		 * - code: Type of problem: 'var', 'length-position', 'translate-percentage',
+		 *   'clip-rect' or 'vendor-property'
+		 * - reason: Description of the problem
+		 * - property: Property name
+		 * - value: Value
+		 * - start: Offset of the declaration in the stylesheet
+		 * - end: Offset of the end of the declaration in the stylesheet
+		 * - line: Line of the declaration, starting at 1
+		 * - column: Column of the declaration, starting at 1
+		 *
+		 * Declarations protected by @noflip are skipped.
+		 *
+		 * @param {string} css Stylesheet to check
+		 * @param {Object} options Options, see #transform (except the source map options)
+		 * @return {Object[]} List of problems
+		 */
+		'lint': function ( css, options ) { // eslint-disable-line quote-props
+			return lintStylesheet( css, options );
+		},
+
+		/**
+		 * Find declarations that don't survive transforming a stylesheet twice.
+		 *
+		 * The stylesheet is transformed to right-to-left and back, and each declaration is
+		 * compared with the result. Each problem has the following properties:
+		 *
+		 * - code: Type of problem: 'property' if the property is different, 'value' if the
+		 *   value is different, or 'format' if only the whitespace or case is different
+		 * - reason: Description of the problem
+		 * - property: Property name
+		 * - value: Value
+		 * - roundTrip: Declaration after the round trip
+		 * - start: Offset of the declaration in the stylesheet
+		 * - end: Offset of the end of the declaration in the stylesheet
+		 * - line: Line of the declaration, starting at 1
+		 * - column: Column of the declaration, starting at 1
+		 *
+		 * Declarations protected by @noflip or replaced by @rtl comments are skipped. This only
+		 * works for the right-to-left writing mode, as the vertical modes can't be reversed.
+		 *
+		 * @param {string} css Stylesheet to check
+		 * @param {Object} options Options, see #transform (except the source map options)
+		 * @return {Object[]} List of problems
+		 */
+		'verifyRoundTrip': function ( css, options ) { // eslint-disable-line quote-props
+			return verifyStylesheet( css, options );
+		},
+
+		/**
+		 * Transform an object of declarations, like the style objects of React and CSS-in-JS
+		 * libraries, from left-to-right to right-to-left.
+		 *
+		 * Keys can be in camel case (marginLeft, WebkitTransform) or in CSS (margin-left). The
+		 * keys of flipped properties keep their case. Values are flipped like the values of the
+		 * same declarations in a stylesheet. Numbers stay numbers unless they are flipped to
+		 * something else, like a percentage, arrays of fallback values are flipped item by item,
+		 * and nested objects (like ':hover' or '@media' blocks) are transformed as well.
+		 *
+		 * @param {Object} obj Declarations to transform
+		 * @param {Object} options Options, see #transform (except the source map options and
+		 * the engine)
+		 * @return {Object} New object with the transformed declarations
+		 */
+		'transformDeclarations': function ( obj, options ) { // eslint-disable-line quote-props
+			return transformObject( obj, options );
+		},
+
+		/**
+		 * Transform the declarations of a style attribute from left-to-right to right-to-left.
+		 *
+		 * @param {string} style Value of the style attribute, like 'margin-left: 4px; float: left'
+		 * @param {Object} options Options, see #transform (except the source map options)
+		 * @return {string} Transformed declarations
+		 */
+		'transformStyleAttribute': function ( style, options ) { // eslint-disable-line quote-props
+			// Terminate the last declaration, as the rules expect
+			return run( style + ';', options, null ).slice( 0, -1 );
+		},
+
+		/**
+		 * Flip styles in the browser, in place, from left-to-right to right-to-left.
+		 *
+		 * The target can be a style element, a link element, a CSSStyleSheet (including
+		 * constructed stylesheets) or a CSSRule, like a style rule or an @media rule. The
+		 * text of style elements is transformed as with #transform, so @noflip and other
+		 * comments work, but the element gets a new stylesheet. Otherwise, the declarations of
+		 * the rules are flipped in the CSSOM, so the rule objects are kept. Browsers drop
+		 * comments when they parse stylesheets, so @noflip comments have no effect there.
+		 *
+		 * @param {Object} target Style or link element, CSSStyleSheet or CSSRule
+		 * @param {Object} [options] Options, see #transform (except the source map options)
+		 * @return {Function} Function that restores the original left-to-right styles
+		 */
+		'flipStyles': function ( target, options ) { // eslint-disable-line quote-props
+			return flipStyles( target, options );
+		},
+
+		/**
+		 * Create a flipped copy of a stylesheet in the browser, for example to add to
+		 * document.adoptedStyleSheets or to a shadow root, and leave the original as it is.
+		 * Rules that the browser rejects, like at-rules it doesn't know, are skipped.
+		 *
+		 * @param {Object} target Style or link element, or CSSStyleSheet, see #flipStyles
+		 * @param {Object} [options] Options, see #transform (except the source map options)
+		 * @return {Object} New CSSStyleSheet, without @import rules
+		 */
+		'cloneStyleSheet': function ( target, options ) { // eslint-disable-line quote-props
+			return cloneStyleSheet( target, options );
+		},
+
+		/**
+		 * Create a PostCSS plugin that transforms a stylesheet from left-to-right to
+		 * right-to-left.
+		 *
+		 * Declarations are transformed one by one in the tree, so everything else, including
+		 * the formatting and source positions of nodes, is kept. @noflip and other comments work
+		 * as with #transform.
+		 *
+		 * @param {Object} options Options, see #transform (except the source map options and
+		 * the engine)
+		 * @param {boolean} [options.bidi=false] Keep the stylesheet left-to-right and add the
+		 * right-to-left declarations to it, as with #bidi, instead of transforming it
+		 * @param {string} [options.dirSelector] See #bidi
+		 * @param {string} [options.ltrPrefix] See #bidi
+		 * @param {string} [options.rtlPrefix] See #bidi
+		 * @return {Object} PostCSS plugin
+		 */
+		'postcss': function ( options ) { // eslint-disable-line quote-props
+			return {
+				postcssPlugin: 'cssjanus',
+				Once: function ( root ) {
+					if ( options.bidi ) {
+						transformPostcssBidi( root, options );
+					} else {
+						transformPostcssRoot( root, options );
+					}
+				}
+			};
+		},
+
+		/**
+		 * Get the names of the built-in flip rules, in the order they are applied.
+		 *
+		 * The rules are shared by all callers, so they can't be changed. Use the rules and
+		 * disableRules options of #transform to add or skip rules for a single call instead.
+		 *
+		 * @return {string[]}
+		 */
+		'getRuleNames': function () { // eslint-disable-line quote-props
+			return rules.map( function ( rule ) {
+				return rule.name;
+			} );
+		},
+
+		/**
+		 * Functions for use in the replacement callbacks of rules.
+		 *
+		 * - flipSign( value ): Flip the sign of a value, like '-1px' to '1px'.
+		 * - flipPercentage( value ): Invert a percentage, like '25%' to '75%'.
+		 *
+		 * @property {Object}
+		 */
+		'helpers': { // eslint-disable-line quote-props
+			flipSign: flipSign,
+			flipPercentage: flipPercentage
+		}
+	};
+}
+
+/* Initialization */
+
+cssjanus = new CSSJanus();
+
+/* Exports */
+
+if ( typeof module !== 'undefined' && module.exports ) {
+	/**
+	 * Transform a left-to-right stylesheet to right-to-left.
+	 *
+	 * This function is a static wrapper around the transform method of an instance of CSSJanus.
+	 *
+	 * @param {string} css Stylesheet to transform
+	 * @param {Object|boolean} [options] Options object, or transformDirInUrl option (back-compat)
+	 * @param {boolean} [options.transformDirInUrl=false] Transform directions in URLs
+	 * (e.g. 'ltr', 'rtl')
+	 * @param {boolean} [options.transformEdgeInUrl=false] Transform edges in URLs
+	 * (e.g. 'left', 'right')
+	 * @param {boolean} [options.sourceMap=false] Generate a source map
+	 * @param {Object|string} [options.inputSourceMap] Source map of the stylesheet to transform
+	 * @param {string} [options.sourceFileName='input.css'] Name of the stylesheet to transform
+	 * @param {boolean} [transformEdgeInUrl] Back-compat parameter
+	 * @return {string|Object} Transformed stylesheet, or an object with css and map properties
+	 */
+	exports.transform = function ( css, options, transformEdgeInUrl ) {
+		var norm;
+		if ( typeof options === 'object' ) {
+			norm = options;
+		} else {
+			norm = {};
+			if ( typeof options === 'boolean' ) {
+				norm.transformDirInUrl = options;
+			}
+			if ( typeof transformEdgeInUrl === 'boolean' ) {
+				norm.transformEdgeInUrl = transformEdgeInUrl;
+			}
+		}
+		return cssjanus.transform( css, norm );
+	};
+
+	/**
+	 * List the changes that transform would make to a stylesheet.
+	 *
+	 * This function is a static wrapper around the analyze method of an instance of CSSJanus.
+	 *
+	 * @param {string} css Stylesheet to analyze
+	 * @param {Object} [options] Options, see #transform
+	 * @return {Object[]} List of changes
+	 */
+	exports.analyze = function ( css, options ) {
+		return cssjanus.analyze( css, options || {} );
+	};
+
+	/**
+	 * Create a stylesheet that works in both directions.
+	 *
+	 * This function is a static wrapper around the bidi method of an instance of CSSJanus.
+	 *
+	 * @param {string} css Stylesheet to transform
+	 * @param {Object} [options] Options, see CSSJanus#bidi
+	 * @return {string} Bidirectional stylesheet
+	 */
+	exports.bidi = function ( css, options ) {
+		return cssjanus.bidi( css, options || {} );
+	};
+
+	/**
+	 * Convert physical properties and keywords to their logical equivalents.
+	 *
+	 * This function is a static wrapper around the toLogical method of an instance of CSSJanus.
+	 *
+	 * @param {string} css Stylesheet to convert
+	 * @param {Object} [options] Options, see CSSJanus#toLogical
+	 * @return {Object} Object with css and unconverted properties
+	 */
+	exports.toLogical = function ( css, options ) {
+		return cssjanus.toLogical( css, options || {} );
+	};
+
+	/**
+	 * Find declarations that can't be flipped reliably.
+	 *
+	 * This function is a static wrapper around the lint method of an instance of CSSJanus.
+	 *
+	 * @param {string} css Stylesheet to check
+	 * @param {Object} [options] Options, see CSSJanus#lint
+	 * @return {Object[]} List of problems
+	 */
+	exports.lint = function ( css, options ) {
+		return cssjanus.lint( css, options || {} );
+	};
+
+	/**
+	 * Find declarations that don't survive transforming a stylesheet twice.
+	 *
+	 * This function is a static wrapper around the verifyRoundTrip method of an instance of
+	 * CSSJanus.
+	 *
+	 * @param {string} css Stylesheet to check
+	 * @param {Object} [options] Options, see CSSJanus#verifyRoundTrip
+	 * @return {Object[]} List of problems
+	 */
+	exports.verifyRoundTrip = function ( css, options ) {
+		return cssjanus.verifyRoundTrip( css, options || {} );
+	};
+
+	/**
+	 * Transform an object of declarations from left-to-right to right-to-left.
+	 *
+	 * This function is a static wrapper around the transformDeclarations method of an instance
+	 * of CSSJanus.
+	 *
+	 * @param {Object} obj Declarations to transform
+	 * @param {Object} [options] Options, see CSSJanus#transformDeclarations
+	 * @return {Object} Transformed declarations
+	 */
+	exports.transformDeclarations = function ( obj, options ) {
+		return cssjanus.transformDeclarations( obj, options || {} );
+	};
+
+	/**
+	 * Transform the declarations of a style attribute from left-to-right to right-to-left.
+	 *
+	 * This function is a static wrapper around the transformStyleAttribute method of an
+	 * instance of CSSJanus.
+	 *
+	 * @param {string} style Value of the style attribute
+	 * @param {Object} [options] Options, see CSSJanus#transformStyleAttribute
+	 * @return {string} Transformed declarations
+	 */
+	exports.transformStyleAttribute = function ( style, options ) {
+		return cssjanus.transformStyleAttribute( style, options || {} );
+	};
+
+	/**
+	 * Flip styles in the browser, in place, from left-to-right to right-to-left.
+	 *
+	 * This function is a static wrapper around the flipStyles method of an instance of
+	 * CSSJanus.
+	 *
+	 * @param {Object} target Style or link element, CSSStyleSheet or CSSRule
+	 * @param {Object} [options] Options, see CSSJanus#flipStyles
+	 * @return {Function} Function that restores the original styles
+	 */
+	exports.flipStyles = function ( target, options ) {
+		return cssjanus.flipStyles( target, options || {} );
+	};
+
+	/**
+	 * Create a flipped copy of a stylesheet in the browser.
+	 *
+	 * This function is a static wrapper around the cloneStyleSheet method of an instance of
+	 * CSSJanus.
+	 *
+	 * @param {Object} target Style or link element, or CSSStyleSheet
+	 * @param {Object} [options] Options, see CSSJanus#cloneStyleSheet
+	 * @return {Object} New CSSStyleSheet
+	 */
+	exports.cloneStyleSheet = function ( target, options ) {
+		return cssjanus.cloneStyleSheet( target, options || {} );
+	};
+
+	/**
+	 * Create a PostCSS plugin that transforms a stylesheet from left-to-right to right-to-left.
+	 *
+	 * This function is a static wrapper around the postcss method of an instance of CSSJanus.
+	 *
+	 *     postcss( [ cssjanus.postcss( { transformDirInUrl: true } ) ] ).process( css );
+	 *
+	 * @param {Object} [options] Options, see CSSJanus#postcss
+	 * @return {Object} PostCSS plugin
+	 */
+	exports.postcss = function ( options ) {
+		return cssjanus.postcss( options || {} );
+	};
+	exports.postcss.postcss = true;
+
+	/**
+	 * Create a stream that transforms a left-to-right stylesheet to right-to-left.
+	 *
+	 * The stylesheet is transformed in parts as it arrives, splitting it after top-level rules.
+	 * The result is the same as that of #transform for the whole stylesheet. The stream is
+	 * readable as strings, and can be used as an async iterator.
+	 *
+	 * A @flip-only comment applies to the whole stylesheet, so once one is found, the rest of the
+	 * stylesheet is held back and transformed at the end. If parts were already transformed
+	 * by then, the stream emits an error instead.
+	 *
+	 * @param {Object} [options] Options, see CSSJanus#transform (except the source map options)
+	 * @param {number} [options.chunkSize=65536] Minimum length of the parts to transform
+	 * @return {Object} Transform stream
+	 */
+	exports.createTransformStream = function ( options ) {
+		var Transform = require( 'stream' ).Transform,
+			StringDecoder = require( 'string_decoder' ).StringDecoder,
+			decoder = new StringDecoder( 'utf8' ),
+			// Parts held back after a @flip-only comment
+			held = '',
+			transformed = false,
+			splitter;
+
+		options = options || {};
+		splitter = new Splitter( options.chunkSize || 65536 );
+
+		/**
+		 * @private
+		 * @throws {Error} If parts were transformed before a @flip-only comment was found
+		 */
+		function checkFlipOnly() {
+			if ( transformed && splitter.hasFlipOnly() ) {
+				throw new Error( 'The stylesheet has a @flip-only comment after parts of it ' +
+					'were already transformed. @flip-only comments need the whole stylesheet, ' +
+					'so use transform, or a chunkSize larger than the stylesheet.' );
+			}
+		}
+
+		return new Transform( {
+			decodeStrings: false,
+			encoding: 'utf8',
+			transform: function ( chunk, encoding, callback ) {
+				var part;
+				try {
+					part = splitter.push( typeof chunk === 'string' ? chunk : decoder.write( chunk ) );
+					checkFlipOnly();
+					if ( splitter.hasFlipOnly() ) {
+						// Transform the whole stylesheet at the end
+						held += part || '';
+					} else if ( part !== null ) {
+						transformed = true;
+						this.push( cssjanus.transform( part, options ) );
+					}
+					callback();
+				} catch ( e ) {
+					callback( e );
+				}
+			},
+			flush: function ( callback ) {
+				try {
+					checkFlipOnly();
+					held += splitter.end() + decoder.end();
+					callback( null, cssjanus.transform( held, options ) );
+				} catch ( e ) {
+					callback( e );
+				}
+			}
+		} );
+	};
+
+	/**
+	 * Get the names of the built-in flip rules, in the order they are applied.
+	 *
+	 * @return {string[]}
+	 */
+	exports.getRuleNames = function () {
+		return cssjanus.getRuleNames();
+	};
+
+	exports.helpers = cssjanus.helpers;
 } else if ( typeof window !== 'undefined' ) {
 	/* global window */
 	// Allow cssjanus to be used in a browser.
@@ -113,7 +113,51 @@ async function benchFixture( fixture ) {
 	bench.end( ops );
 }
 
+/**
+ * Fixtures that don't need the network: the test cases, and input that is slow to match
+ * with regular expressions.
+ *
+ * @return {Object[]} Fixtures, each with a name, stylesheet and number of operations
+ */
+function getLocalFixtures() {
+	const testData = require( './data.json' );
+	let cases = '';
+	for ( const name in testData ) {
+		for ( const testCase of testData[ name ].cases ) {
+			cases += testCase[ 0 ] + '\n';
+		}
+	}
+	return [
+		{ name: 'test cases', data: cases, ops: 1_000 },
+		{ name: 'calc', data: `.a { margin: calc(${ '1'.repeat( 20 ) }x 1px 1px 1px }`, ops: 10 },
+		{ name: 'escapes', data: `.a { box-shadow: 1a${ '\\a'.repeat( 20 ) }! 0 red }`, ops: 10 },
+		{ name: 'words', data: `.a { content: "${ 'left '.repeat( 4_000 ) }" }`, ops: 10 },
+		{ name: 'no brace', data: `.a { x: ${ 'left,'.repeat( 4_000 ) } }`, ops: 10 }
+	];
+}
+
+function benchLocal( engines ) {
+	for ( const fixture of getLocalFixtures() ) {
+		for ( const engine of engines ) {
+			const bench = Object.create( baseBench );
+			let i = fixture.ops;
+			bench.start( `${ fixture.name } (${ engine })` );
+			while ( i-- ) {
+				cssjanus.transform( fixture.data, { engine } );
+			}
+			bench.end( fixture.ops );
+		}
+	}
+}
+
 async function main() {
+	const args = process.argv.slice( 2 );
+	if ( args.includes( '--local' ) ) {
+		const engine = args.find( ( arg ) => arg.startsWith( '--engine=' ) );
+		benchLocal( engine ? [ engine.slice( 9 ) ] : [ 'regex', 'parser', 'single-pass' ] );
+		return;
+	}
+
 	const fixtures = [
 		{
 			name: 'mediawiki',
@@ -1,49 +1,1116 @@
 'use strict';
 
+const childProcess = require( 'child_process' );
+const fs = require( 'fs' );
+const { JSDOM } = require( 'jsdom' );
+const os = require( 'os' );
+const path = require( 'path' );
+const postcss = require( 'postcss' );
 const QUnit = require( 'qunit' );
 const cssjanus = require( '../src/cssjanus' );
 
 const testData = require( './data.json' );
 
-for ( const name in testData ) {
-	const data = testData[ name ];
-	const args = data.args || [ data.options || {} ];
+for ( const engine of [ 'regex', 'parser', 'single-pass' ] ) {
+	QUnit.module( `${ engine } engine`, () => {
+		for ( const name in testData ) {
+			const data = testData[ name ];
+			let args = data.args || [ data.options || {} ];
+			if ( engine !== 'regex' ) {
+				args = [ Object.assign( { engine }, data.args ? {
+					transformDirInUrl: args[ 0 ],
+					transformEdgeInUrl: args[ 1 ]
+				} : args[ 0 ] ) ];
+			}
+
+			QUnit.test( name, ( assert ) => {
+				for ( let i = 0; i < data.cases.length; i++ ) {
+					const input = data.cases[ i ][ 0 ];
+					const noop = data.cases[ i ][ 1 ] === undefined;
+					const output = noop ? input : data.cases[ i ][ 1 ];
+					const roundtrip = data.roundtrip !== undefined ? data.roundtrip : !noop;
+
+					assert.equal(
+						cssjanus.transform(
+							input,
+							args[ 0 ],
+							args[ 1 ]
+						),
+						output,
+						`case #${ i + 1 }`
+					);
+
+					if ( roundtrip ) {
+						// Round-trip
+						assert.equal(
+							cssjanus.transform(
+								output,
+								args[ 0 ],
+								args[ 1 ]
+							),
+							input,
+							`case #${ i + 1 } roundtrip`
+						);
+
+						// Keep test data clean
+						assert.true(
+							data.cases[ i ][ 1 ] !== input,
+							`case #${ i + 1 } should not specify output if it matches the input`
+						);
+					}
+				}
+			} );
+		}
+	} );
+}
+
+QUnit.test( 'source map', ( assert ) => {
+	let result = cssjanus.transform( 'a { left: 1px; }', { sourceMap: true } );
+	assert.strictEqual( result.css, 'a { right: 1px; }', 'css' );
+	assert.deepEqual( result.map, {
+		version: 3,
+		sources: [ 'input.css' ],
+		names: [],
+		mappings: 'AAAA,IAAI,KAAI',
+		sourcesContent: [ 'a { left: 1px; }' ]
+	}, 'map' );
+
+	result = cssjanus.transform(
+		'/* left */\na {\n\tpadding: 1px 2px 3px 4px;\n}',
+		{ sourceMap: true, sourceFileName: 'a.css' }
+	);
+	assert.strictEqual( result.css, '/* left */\na {\n\tpadding: 1px 4px 3px 2px;\n}', 'multi-line css' );
+	assert.strictEqual( result.map.sources[ 0 ], 'a.css', 'multi-line source name' );
+	assert.strictEqual( result.map.mappings, 'AAAA;AACA;AACA,cAAc,WAAW;AACzB', 'multi-line mappings' );
 
-	QUnit.test( name, ( assert ) => {
+	result = cssjanus.transform( 'a { left: 1px; }', {
+		sourceMap: true,
+		inputSourceMap: JSON.stringify( {
+			version: 3,
+			sources: [ 'a.scss' ],
+			names: [],
+			mappings: 'AAKE',
+			sourcesContent: [ 'x' ]
+		} )
+	} );
+	assert.deepEqual( result.map, {
+		version: 3,
+		sources: [ 'a.scss' ],
+		names: [],
+		mappings: 'AAKE,IAAA,KAAA',
+		sourcesContent: [ 'x' ]
+	}, 'composed with input source map' );
+} );
+
+QUnit.test( 'analyze', ( assert ) => {
+	assert.deepEqual(
+		cssjanus.analyze( '/* left */\n.foo { left: 1px; padding: 1px 2px 3px 4px; transform: translateX(-2px); }' ),
+		[
+			{ rule: 'left-right', start: 18, end: 22, line: 2, column: 8, original: 'left', replacement: 'right' },
+			{ rule: 'four-notation', start: 42, end: 53, line: 2, column: 32, original: '2px 3px 4px', replacement: '4px 3px 2px' },
+			{ rule: 'transform', start: 77, end: 81, line: 2, column: 67, original: '-2px', replacement: '2px' }
+		]
+	);
+	assert.deepEqual( cssjanus.analyze( '/* @noflip */ .foo { left: 1px; }' ), [], 'noflip' );
+	assert.deepEqual(
+		cssjanus.analyze( '.foo { /* @rtl: left: 2px */ left: 1px; }', { engine: 'parser' } ),
+		[
+			{ rule: 'rtl-comment', start: 29, end: 38, line: 1, column: 30, original: 'left: 1px', replacement: 'left: 2px' }
+		],
+		'@rtl comment'
+	);
+	assert.deepEqual(
+		cssjanus.analyze( '.foo { background: url(arrow-left.png); }', { transformEdgeInUrl: true } ),
+		[
+			{ rule: 'url-edge', start: 29, end: 33, line: 1, column: 30, original: 'left', replacement: 'right' }
+		],
+		'options'
+	);
+} );
+
+QUnit.test( 'analyze matches transform', ( assert ) => {
+	for ( const name in testData ) {
+		const data = testData[ name ];
+		if ( data.args ) {
+			continue;
+		}
 		for ( let i = 0; i < data.cases.length; i++ ) {
 			const input = data.cases[ i ][ 0 ];
-			const noop = data.cases[ i ][ 1 ] === undefined;
-			const output = noop ? input : data.cases[ i ][ 1 ];
-			const roundtrip = data.roundtrip !== undefined ? data.roundtrip : !noop;
-
-			assert.equal(
-				cssjanus.transform(
-					input,
-					args[ 0 ],
-					args[ 1 ]
-				),
-				output,
-				`case #${ i + 1 }`
+			let output = '';
+			let pos = 0;
+			for ( const change of cssjanus.analyze( input, data.options ) ) {
+				output += input.slice( pos, change.start ) + change.replacement;
+				pos = change.end;
+			}
+			output += input.slice( pos );
+			assert.strictEqual( output, cssjanus.transform( input, data.options || {} ), `${ name } case #${ i + 1 }` );
+		}
+	}
+} );
+
+QUnit.test( 'rules option', ( assert ) => {
+	const rules = [ {
+		name: 'icon-offset',
+		pattern: /(--icon-offset-)(start|end)(\s*:\s*)([^;}]+)/g,
+		replacement: ( match, pre, edge, colon, value ) => pre + ( edge === 'start' ? 'end' : 'start' ) +
+			colon + cssjanus.helpers.flipSign( value )
+	} ];
+	assert.strictEqual(
+		cssjanus.transform( '.foo { --icon-offset-start: 2px; left: 0; }', { rules } ),
+		'.foo { --icon-offset-end: -2px; right: 0; }',
+		'custom rule'
+	);
+	assert.strictEqual(
+		cssjanus.transform( '/* --icon-offset-start: 2px; */ .foo { /* @noflip */ --icon-offset-end: -1px; }', { rules } ),
+		'/* --icon-offset-start: 2px; */ .foo { /* @noflip */ --icon-offset-end: -1px; }',
+		'comments and @noflip are protected'
+	);
+	assert.deepEqual(
+		cssjanus.analyze( '.foo { --icon-offset-start: 2px; }', { rules } ).map( ( change ) => change.rule ),
+		[ 'icon-offset' ],
+		'analyze reports the rule name'
+	);
+	assert.strictEqual(
+		cssjanus.transform( '.foo { --icon-offset-start: 2px; }' ),
+		'.foo { --icon-offset-start: 2px; }',
+		'other calls are not affected'
+	);
+	assert.strictEqual( cssjanus.getRuleNames().indexOf( 'icon-offset' ), -1, 'built-in rules are not changed' );
+	assert.strictEqual(
+		cssjanus.transform( '.foo { cursor: e-resize; }', { rules: [
+			{ name: 'before-cursor', pattern: /e-resize/g, replacement: 'ne-resize', before: 'cursor' }
+		] } ),
+		'.foo { cursor: nw-resize; }',
+		'rule before a built-in rule'
+	);
+	assert.strictEqual(
+		cssjanus.transform( '.foo { --icon-offset-start: 2px; }', { rules, disableRules: [ 'icon-offset' ] } ),
+		'.foo { --icon-offset-start: 2px; }',
+		'disableRules applies to custom rules'
+	);
+	assert.throws( () => {
+		cssjanus.transform( '', { rules: rules.concat( rules ) } );
+	}, /already exists/, 'duplicate name' );
+	assert.throws( () => {
+		cssjanus.transform( '', { rules: [ { name: 'other', pattern: /x/g, replacement: 'y', before: 'unknown' } ] } );
+	}, /Unknown rule/, 'unknown position' );
+} );
+
+QUnit.test( 'disableRules option', ( assert ) => {
+	assert.strictEqual(
+		cssjanus.transform( '.foo { left: 0; cursor: e-resize; padding: 1px 2px 3px 4px; }', { disableRules: [ 'cursor', 'four-notation' ] } ),
+		'.foo { right: 0; cursor: e-resize; padding: 1px 2px 3px 4px; }'
+	);
+} );
+
+QUnit.test( 'urlMappings option', ( assert ) => {
+	for ( const engine of [ 'regex', 'parser' ] ) {
+		assert.strictEqual(
+			cssjanus.transform( '.a { background: url(icon-l.png); } .b { background: url(icon-l@2x.png); }', {
+				engine,
+				urlMappings: [ [ /-l(\.|@)/, '-r$1' ] ]
+			} ),
+			'.a { background: url(icon-r.png); } .b { background: url(icon-r@2x.png); }',
+			`regular expression (${ engine })`
+		);
+		assert.strictEqual(
+			cssjanus.transform( '.a { background: url("/icons/a.png?v=1"); }', {
+				engine,
+				urlMappings: ( url ) => url.replace( '/icons/', '/icons/rtl/' )
+			} ),
+			'.a { background: url("/icons/rtl/a.png?v=1"); }',
+			`callback (${ engine })`
+		);
+	}
+	assert.deepEqual(
+		cssjanus.analyze( '.a { background: url(arrow-start.svg); }', { urlMappings: [ [ 'start', 'end' ] ] } ),
+		[
+			{ rule: 'url-mapping', start: 27, end: 32, line: 1, column: 28, original: 'start', replacement: 'end' }
+		],
+		'analyze'
+	);
+	assert.throws( () => {
+		cssjanus.transform( '.a { background: url(a.png); }', { urlMappings: [ [ 'a' ] ] } );
+	}, /Invalid URL mapping/, 'invalid mapping' );
+} );
+
+QUnit.test( 'parser engine', ( assert ) => {
+	const options = { engine: 'parser' };
+	assert.strictEqual(
+		cssjanus.transform( '/* @noflip */ @media screen { .a { float: left; } } .b { float: left; }', options ),
+		'/* @noflip */ @media screen { .a { float: left; } } .b { float: right; }',
+		'@noflip on an at-rule'
+	);
+	assert.strictEqual(
+		cssjanus.transform( '@media screen { /* @noflip */ .a { float: left; } .b { float: left; } }', options ),
+		'@media screen { /* @noflip */ .a { float: left; } .b { float: right; } }',
+		'@noflip on a rule in an at-rule'
+	);
+	assert.strictEqual(
+		cssjanus.transform( '.a { float: left; /* @noflip */ &:hover { float: left; .b { left: 0 } } .c { left: 0 } }', options ),
+		'.a { float: right; /* @noflip */ &:hover { float: left; .b { left: 0 } } .c { right: 0 } }',
+		'@noflip on a nested rule'
+	);
+	assert.strictEqual(
+		cssjanus.transform( '@supports (display: grid) { @container (min-width: 1px) { @layer x { .a { padding-left: 1px } } } }', options ),
+		'@supports (display: grid) { @container (min-width: 1px) { @layer x { .a { padding-right: 1px } } } }',
+		'nested at-rules'
+	);
+	assert.strictEqual(
+		cssjanus.transform( '[data-x="}"] .left { float: left; } .a:after { content: "{"; margin-left: 0; }', options ),
+		'[data-x="}"] .left { float: right; } .a:after { content: "{"; margin-right: 0; }',
+		'braces in strings'
+	);
+	assert.strictEqual(
+		cssjanus.transform( '.a { --x: { left: 0 }; left: 0 }', options ),
+		'.a { --x: { right: 0 }; right: 0 }',
+		'custom property with a block'
+	);
+	assert.deepEqual(
+		cssjanus.analyze( '.a {\n\tpadding: 1px 2px 3px 4px;\n}', options ),
+		[
+			{ rule: 'four-notation', start: 19, end: 30, line: 2, column: 15, original: '2px 3px 4px', replacement: '4px 3px 2px' }
+		],
+		'analyze'
+	);
+	const deep = '.a { float: left; '.repeat( 10000 ) + '}'.repeat( 10000 );
+	assert.strictEqual( cssjanus.transform( deep, options ), cssjanus.transform( deep ), 'deeply nested rules' );
+	assert.deepEqual( cssjanus.lint( deep ), [], 'lint deeply nested rules' );
+	assert.strictEqual(
+		cssjanus.toLogical( deep ).css,
+		'.a { float: inline-start; '.repeat( 10000 ) + '}'.repeat( 10000 ),
+		'toLogical with deeply nested rules'
+	);
+	assert.throws( () => {
+		cssjanus.transform( '', { engine: 'unknown' } );
+	}, /Unknown engine/, 'unknown engine' );
+} );
+
+QUnit.test( 'single-pass engine', ( assert ) => {
+	const options = { engine: 'single-pass' };
+	// Input that makes the regular expressions of the other engines backtrack: the stylesheet
+	// around a part, the part, which is repeated, and what the part becomes
+	const cases = [
+		[ ( part ) => `.a { margin: calc(${ part }x 1px 1px 1px }`, '1', '1', 'calc with many digits' ],
+		[ ( part ) => `.a { box-shadow: 1a${ part }! 0 red }`, '\\a', '\\a', 'escapes in a length' ],
+		[ ( part ) => `.a { content: "${ part }" }`, 'left ', 'right ', 'many words in a string' ],
+		[ ( part ) => `.a { x: ${ part } }`, 'left,', 'right,', 'many words without a brace' ],
+		[ ( part ) => `.a { --x: { ${ part } } }`, 'left ', 'right ', 'many words in a custom property block' ],
+		[ ( part ) => `.a { --x: { ${ part } } }`, 'float: left; ', 'float: right; ', 'many declarations in a custom property block' ],
+		[ ( part ) => `.a { margin: 1px /* @noflip */ ${ part }; }`, 'left ', 'left ', 'many words after @noflip' ],
+		[ ( part ) => `.a { content: "${ part }" }`, '` left ', '%60 right ', 'many backticks' ],
+		[ ( part ) => `${ part }}`, '.a { float: left; ', '.a { float: right; ', 'deeply nested rules' ],
+		[ ( part ) => part, '@media x { .a { float: left; } ', '@media x { .a { float: right; } ', 'deeply nested at-rules' ]
+	];
+	for ( const [ createCss, part, flipped, message ] of cases ) {
+		const css = createCss( part.repeat( 1000 ) );
+		assert.strictEqual( cssjanus.transform( css, options ), cssjanus.transform( css ), `${ message }: same as the regex engine` );
+		assert.strictEqual(
+			cssjanus.transform( createCss( part.repeat( 20000 ) ), options ),
+			createCss( flipped.repeat( 20000 ) ),
+			`${ message }: large input`
+		);
+	}
+	assert.strictEqual(
+		cssjanus.transform( '.a { --x: { padding: 1px 2px 3px 4px; .b { left: 0 } } right { left }; }', options ),
+		'.a { --x: { padding: 1px 4px 3px 2px; .b { right: 0 } } right { right }; }',
+		'custom property blocks'
+	);
+	assert.strictEqual(
+		cssjanus.transform( '.a { --x: { float: /* @noflip */ left; margin-left: 0 }; content: "`"; }', options ),
+		'.a { --x: { float: /* @noflip */ left; margin-right: 0 }; content: "%60"; }',
+		'@noflip comments in custom property blocks, and backticks'
+	);
+	assert.strictEqual(
+		cssjanus.transform( '.a { padding: 1px 2px 3px 4px; /* left */ float: left !important; }', options ),
+		'.a { padding: 1px 4px 3px 2px; /* left */ float: right !important; }',
+		'declarations and comments'
+	);
+	assert.strictEqual(
+		cssjanus.transform( '.a { float: left; padding-left: 1px; }', { engine: 'single-pass', disableRules: [ 'left-right' ] } ),
+		'.a { float: left; padding-left: 1px; }',
+		'disableRules'
+	);
+	assert.strictEqual(
+		cssjanus.transform( '.a { float: left; x: up; }', {
+			engine: 'single-pass',
+			rules: [ { name: 'upside-down', pattern: /\bup\b/g, replacement: 'down' } ]
+		} ),
+		'.a { float: right; x: down; }',
+		'custom rules'
+	);
+} );
+
+QUnit.test( 'bidi', ( assert ) => {
+	assert.strictEqual(
+		cssjanus.bidi( '.a { margin-left: 1px; color: red; }' ),
+		'.a { color: red; } :where([dir="ltr"]) .a { margin-left: 1px; } :where([dir="rtl"]) .a { margin-right: 1px; }',
+		'direction-sensitive declarations are scoped, with the same specificity'
+	);
+	assert.strictEqual(
+		cssjanus.bidi( '.a, .b::before {\n\tcolor: red;\n\tpadding: 1px 2px 3px 4px;\n\tfloat: left !important;\n}\n' ),
+		'.a, .b::before {\n\tcolor: red;\n}\n' +
+			':where([dir="ltr"]) .a, :where([dir="ltr"]) .b::before {\n\tpadding: 1px 2px 3px 4px;\n\tfloat: left !important;\n}\n' +
+			':where([dir="rtl"]) .a, :where([dir="rtl"]) .b::before {\n\tpadding: 1px 4px 3px 2px;\n\tfloat: right !important;\n}\n',
+		'multi-line rule and selector list'
+	);
+	assert.strictEqual(
+		cssjanus.bidi( '.a { float: left }\n.b { color: red }\n' ),
+		':where([dir="ltr"]) .a { float: left; }\n:where([dir="rtl"]) .a { float: right; }\n.b { color: red }\n',
+		'rule with only direction-sensitive declarations is replaced'
+	);
+	assert.strictEqual(
+		cssjanus.bidi( '@media x { .a { float: left; /* c */ } }' ),
+		'@media x { .a { /* c */ } :where([dir="ltr"]) .a { float: left; } :where([dir="rtl"]) .a { float: right; } }',
+		'comments are kept in the rule'
+	);
+	assert.strictEqual(
+		cssjanus.bidi( '.a { /* @rtl: margin-left: 2px */ margin-left: 1px }' ),
+		'.a { /* @rtl: margin-left: 2px */ } :where([dir="ltr"]) .a { margin-left: 1px; } :where([dir="rtl"]) .a { margin-left: 2px; }',
+		'@rtl comments are kept in the rule'
+	);
+	assert.strictEqual(
+		cssjanus.bidi( '.a { margin-left: 1px; color: red; margin: 0; padding-left: 1px; /* @noflip */ -webkit-margin-start: 0 }' ),
+		'.a { color: red; margin: 0; /* @noflip */ -webkit-margin-start: 0 } ' +
+			':where([dir="ltr"]) .a { margin-left: 1px; margin: 0; padding-left: 1px; -webkit-margin-start: 0; } ' +
+			':where([dir="rtl"]) .a { margin-right: 1px; margin: 0; padding-right: 1px; -webkit-margin-start: 0; }',
+		'later declarations that may override scoped ones are copied, in order'
+	);
+	assert.strictEqual(
+		cssjanus.bidi( '.a { left: 0; inset: 1px; } .b { float: left; all: unset; }' ),
+		'.a { inset: 1px; } :where([dir="ltr"]) .a { left: 0; inset: 1px; } :where([dir="rtl"]) .a { right: 0; inset: 1px; } ' +
+			'.b { all: unset; } :where([dir="ltr"]) .b { float: left; all: unset; } :where([dir="rtl"]) .b { float: right; all: unset; }',
+		'shorthands of other names, and all'
+	);
+	assert.strictEqual(
+		cssjanus.bidi( 'html .a { left: 0 } :root.b { left: 0 }' ),
+		'html:where([dir="ltr"]) .a { left: 0; } html:where([dir="rtl"]) .a { right: 0; } :root:where([dir="ltr"]).b { left: 0; } :root:where([dir="rtl"]).b { right: 0; }',
+		'root selectors get the prefix as a compound'
+	);
+	assert.strictEqual(
+		cssjanus.bidi( '@media print {\n\t.a {\n\t\tleft: 0;\n\t}\n}\n@keyframes k { from { left: 0 } }\n@font-face { src: url(left.woff) }\n' ),
+		'@media print {\n\t:where([dir="ltr"]) .a {\n\t\tleft: 0;\n\t}\n\t:where([dir="rtl"]) .a {\n\t\tright: 0;\n\t}\n}\n' +
+			'@keyframes k { from { left: 0 } }\n@font-face { src: url(left.woff) }\n',
+		'at-rules'
+	);
+	assert.strictEqual(
+		cssjanus.bidi( '.a { float: left; .b { color: red; float: right } &:hover { left: 0 } }' ),
+		'.a { .b { color: red; } :where([dir="ltr"]) & .b { float: right; } :where([dir="rtl"]) & .b { float: left; } ' +
+			':where([dir="ltr"]) &:hover { left: 0; } :where([dir="rtl"]) &:hover { right: 0; } } ' +
+			':where([dir="ltr"]) .a { float: left; } :where([dir="rtl"]) .a { float: right; }',
+		'nested rules'
+	);
+	assert.strictEqual(
+		cssjanus.bidi( '/* @noflip */ .a { float: left } .b { /* @noflip */ float: left; right: 0 }' ),
+		'/* @noflip */ .a { float: left } .b { /* @noflip */ float: left; } :where([dir="ltr"]) .b { right: 0; } :where([dir="rtl"]) .b { left: 0; }',
+		'@noflip'
+	);
+	assert.strictEqual(
+		cssjanus.bidi( '.a, .b::before, .c:after { float: left }', { dirSelector: 'pseudo-class' } ),
+		'.a:where(:dir(ltr)), .b:where(:dir(ltr))::before, .c:where(:dir(ltr)):after { float: left; } .a:where(:dir(rtl)), .b:where(:dir(rtl))::before, .c:where(:dir(rtl)):after { float: right; }',
+		'dirSelector option'
+	);
+	assert.strictEqual(
+		cssjanus.bidi( '.a { float: left }', { ltrPrefix: '.ltr', rtlPrefix: '.rtl' } ),
+		':where(.ltr) .a { float: left; } :where(.rtl) .a { float: right; }',
+		'ltrPrefix and rtlPrefix options'
+	);
+	assert.strictEqual(
+		cssjanus.bidi( '.a { background: url(ltr/left.png) }', { transformDirInUrl: true } ),
+		':where([dir="ltr"]) .a { background: url(ltr/left.png); } :where([dir="rtl"]) .a { background: url(rtl/left.png); }',
+		'transform options'
+	);
+} );
+
+QUnit.test( 'toLogical', ( assert ) => {
+	assert.deepEqual(
+		cssjanus.toLogical( '.a { margin-left: 1px; padding-right: 2px !important; border-left-color: red; right: 0; border-top-left-radius: 1px; }' ),
+		{
+			css: '.a { margin-inline-start: 1px; padding-inline-end: 2px !important; border-inline-start-color: red; inset-inline-end: 0; border-start-start-radius: 1px; }',
+			unconverted: []
+		},
+		'properties'
+	);
+	assert.strictEqual(
+		cssjanus.toLogical( '.a { float: left; clear: right; text-align: right; text-align: center; }' ).css,
+		'.a { float: inline-start; clear: inline-end; text-align: end; text-align: center; }',
+		'keywords'
+	);
+	assert.strictEqual(
+		cssjanus.toLogical( '.a {\n\tmargin: 1px 2px 3px 4px !important;\n\tpadding: 1px 2px 3px;\n\tborder-style: solid none solid dotted;\n}' ).css,
+		'.a {\n\tmargin-block: 1px 3px !important;\n\tmargin-inline: 4px 2px !important;\n\tpadding: 1px 2px 3px;\n' +
+			'\tborder-block-style: solid solid;\n\tborder-inline-style: dotted none;\n}',
+		'four-value shorthands'
+	);
+	assert.strictEqual(
+		cssjanus.toLogical( '.a { border-radius: 1px 2px; } .b { border-radius: 1px / 2px 3px 4px; } .c { border-radius: 1px 1px 2px 2px; }' ).css,
+		'.a { border-start-start-radius: 1px; border-start-end-radius: 2px; border-end-end-radius: 1px; border-end-start-radius: 2px; } ' +
+			'.b { border-start-start-radius: 1px 2px; border-start-end-radius: 1px 3px; border-end-end-radius: 1px 4px; border-end-start-radius: 1px 3px; } ' +
+			'.c { border-radius: 1px 1px 2px 2px; }',
+		'border-radius'
+	);
+	assert.strictEqual(
+		cssjanus.toLogical( '.a { transition: margin-left 1s, left 2s ease-in-out; will-change: padding-right; }' ).css,
+		'.a { transition: margin-inline-start 1s, inset-inline-start 2s ease-in-out; will-change: padding-inline-end; }',
+		'property names in values'
+	);
+	assert.deepEqual(
+		cssjanus.toLogical( '/* @noflip */ .a { margin-left: 1px; }\n.b {\n\t/* @noflip */ float: left;\n\tbox-shadow: 1px 0 red;\n\tcursor: e-resize;\n}' ),
+		{
+			css: '/* @noflip */ .a { margin-left: 1px; }\n.b {\n\t/* @noflip */ float: left;\n\tbox-shadow: 1px 0 red;\n\tcursor: e-resize;\n}',
+			unconverted: [
+				{ property: 'box-shadow', value: '1px 0 red', start: 73, end: 94, line: 4, column: 2 },
+				{ property: 'cursor', value: 'e-resize', start: 97, end: 113, line: 5, column: 2 }
+			]
+		},
+		'@noflip and unconverted declarations'
+	);
+	assert.deepEqual(
+		cssjanus.toLogical( '.a { /* @rtl: margin-left: 2px */ margin-left: 1px; padding-left: 1px; }' ),
+		{
+			css: '.a { /* @rtl: margin-left: 2px */ margin-left: 1px; padding-inline-start: 1px; }',
+			unconverted: [
+				{ property: 'margin-left', value: '1px', start: 34, end: 50, line: 1, column: 35 }
+			]
+		},
+		'declarations with @rtl comments'
+	);
+	assert.strictEqual(
+		cssjanus.toLogical( '.a { background: url(ltr.png); }', { transformDirInUrl: true } ).unconverted.length,
+		1,
+		'transform options'
+	);
+} );
+
+QUnit.test( 'targetWritingMode option', ( assert ) => {
+	assert.deepEqual(
+		cssjanus.analyze( '.a { margin-left: 1px; cursor: e-resize; }', { targetWritingMode: 'tb-rl' } ).map( ( change ) => change.rule ),
+		[ 'sides', 'cursor' ],
+		'rule names'
+	);
+	assert.strictEqual(
+		cssjanus.transform( '.a { margin-left: 1px; cursor: e-resize; }', { targetWritingMode: 'tb-rl', disableRules: [ 'sides' ] } ),
+		'.a { margin-left: 1px; cursor: s-resize; }',
+		'disableRules option'
+	);
+	assert.strictEqual(
+		cssjanus.transform( '.a { background: url(ltr/left.png); }', { targetWritingMode: 'tb-lr', transformDirInUrl: true, transformEdgeInUrl: true } ),
+		'.a { background: url(ltr/left.png); }',
+		'URL options are ignored'
+	);
+	assert.strictEqual(
+		cssjanus.transform( '.a { margin-left: 1px; }', { targetWritingMode: 'rl-tb' } ),
+		'.a { margin-right: 1px; }',
+		'rl-tb'
+	);
+	assert.throws( () => {
+		cssjanus.transform( '', { targetWritingMode: 'unknown' } );
+	}, /Unknown writing mode/, 'unknown writing mode' );
+} );
+
+QUnit.test( 'grid option', ( assert ) => {
+	const css = '.a { grid-template-areas: "a b"; grid-template-columns: 1fr 2fr; grid-column: 1 / 3; }';
+	assert.deepEqual(
+		cssjanus.analyze( css, { grid: 'columns' } ).map( ( change ) => change.rule ),
+		[ 'grid-areas', 'grid-columns', 'grid-placement' ],
+		'rule names'
+	);
+	assert.strictEqual(
+		cssjanus.transform( css, { grid: 'columns', disableRules: [ 'grid-placement' ] } ),
+		'.a { grid-template-areas: "b a"; grid-template-columns: 2fr 1fr; grid-column: 1 / 3; }',
+		'disableRules option'
+	);
+	assert.strictEqual(
+		cssjanus.transform( css, { grid: 'columns', targetWritingMode: 'tb-rl' } ),
+		css,
+		'vertical writing modes'
+	);
+	assert.throws( () => {
+		cssjanus.transform( '', { grid: true } );
+	}, /Unknown grid mode/, 'unknown grid mode' );
+} );
+
+QUnit.test( 'transformGradients option', ( assert ) => {
+	const css = '.a { background: linear-gradient(to right, red, blue), linear-gradient(45deg, red, blue); }';
+	assert.deepEqual(
+		cssjanus.analyze( css, { transformGradients: true } ).map( ( change ) => change.rule ),
+		[ 'left-right', 'gradient' ],
+		'rule names'
+	);
+	assert.strictEqual(
+		cssjanus.transform( css, { transformGradients: true, targetWritingMode: 'tb-rl' } ),
+		css,
+		'vertical writing modes'
+	);
+} );
+
+QUnit.test( 'lint', ( assert ) => {
+	const css = `.a {
+	padding: 1px var(--x);
+	margin: 0 var(--a) 0 0;
+	color: var(--c);
+	background: url(sprite.png) -20px 0 no-repeat;
+	background-position: 50% 0, left 10px top 0;
+	transform: translate(-50%, -50%);
+	translate: 0 50%;
+	-moz-border-radius-topleft: 3px;
+	-moz-outline-radius-topleft: 3px;
+	-webkit-border-top-left-radius: 3px;
+	clip: rect(0, 10px, 10px, 0);
+	clip: rect(1px, 1px, 1px, 1px);
+	/* @noflip */ float: var(--f);
+}`;
+	assert.deepEqual(
+		cssjanus.lint( css ).map( ( problem ) => [
+			problem.code,
+			problem.property,
+			problem.line,
+			problem.column
+		] ),
+		[
+			[ 'var', 'padding', 2, 2 ],
+			[ 'length-position', 'background', 5, 2 ],
+			[ 'translate-percentage', 'transform', 7, 2 ],
+			[ 'vendor-property', '-moz-border-radius-topleft', 9, 2 ],
+			[ 'vendor-property', '-moz-outline-radius-topleft', 10, 2 ],
+			[ 'vendor-property', '-webkit-border-top-left-radius', 11, 2 ],
+			[ 'clip-rect', 'clip', 12, 2 ]
+		]
+	);
+	assert.deepEqual( cssjanus.lint( '.a { box-shadow: var(--shadow); }' ), [
+		{
+			code: 'var',
+			reason: 'The value uses var(), which may hide values that need to be flipped',
+			property: 'box-shadow',
+			value: 'var(--shadow)',
+			start: 5,
+			end: 30,
+			line: 1,
+			column: 6
+		}
+	], 'problem' );
+	assert.deepEqual(
+		cssjanus.lint( '.a { translate: 10% 0; }', { disableRules: [ 'translate' ] } )
+			.map( ( problem ) => problem.code ),
+		[ 'translate-percentage' ],
+		'options'
+	);
+	assert.deepEqual(
+		cssjanus.lint( '.a { -webkit-margin-left: 1px; -moz-outline-radius-topleft: 1px; -webkit-box-shadow: 1px 0 red; }' )
+			.map( ( problem ) => [ problem.property, problem.reason ] ),
+		[
+			[ '-webkit-margin-left', 'The vendor-prefixed property mentions left or right, and is flipped without knowing whether the flipped property exists' ],
+			[ '-moz-outline-radius-topleft', 'The vendor-prefixed property mentions left or right, but isn\'t flipped' ]
+		],
+		'vendor-prefixed properties, flipped or not'
+	);
+} );
+
+QUnit.test( 'verifyRoundTrip', ( assert ) => {
+	const css = `.a {
+	border-radius: 1px 2px 3px;
+	padding: 1px  2px 3px 4px;
+	border-radius: 1px  2px 3px 4px;
+	cursor: W-resize;
+	margin-left: 1px;
+	/* @noflip */ border-radius: 1px 2px 3px;
+	/* @rtl: left: 2px */ left: 1px;
+}`;
+	assert.deepEqual(
+		cssjanus.verifyRoundTrip( css ).map( ( problem ) => [
+			problem.code,
+			problem.roundTrip,
+			problem.line,
+			problem.column
+		] ),
+		[
+			[ 'value', 'border-radius: 1px 2px 3px 2px', 2, 2 ],
+			[ 'format', 'border-radius: 1px 2px 3px 4px', 4, 2 ],
+			[ 'format', 'cursor: w-resize', 5, 2 ]
+		]
+	);
+	assert.deepEqual( cssjanus.verifyRoundTrip( '.a { border-radius: 1px 2px 3px; }' ), [
+		{
+			code: 'value',
+			reason: 'The value is different after the round trip',
+			property: 'border-radius',
+			value: '1px 2px 3px',
+			roundTrip: 'border-radius: 1px 2px 3px 2px',
+			start: 5,
+			end: 31,
+			line: 1,
+			column: 6
+		}
+	], 'problem' );
+	assert.deepEqual(
+		cssjanus.verifyRoundTrip( '.a { border-radius: 1px 2px 3px; }', { disableRules: [ 'border-radius' ] } ),
+		[],
+		'options'
+	);
+
+	for ( const name in testData ) {
+		const data = testData[ name ];
+		if ( data.args || data.roundtrip === false ) {
+			continue;
+		}
+		for ( let i = 0; i < data.cases.length; i++ ) {
+			assert.deepEqual(
+				cssjanus.verifyRoundTrip( data.cases[ i ][ 0 ], data.options )
+					.filter( ( problem ) => problem.code !== 'format' ),
+				[],
+				`${ name } case #${ i + 1 }`
 			);
+		}
+	}
+} );
 
-			if ( roundtrip ) {
-				// Round-trip
-				assert.equal(
-					cssjanus.transform(
-						output,
-						args[ 0 ],
-						args[ 1 ]
-					),
-					input,
-					`case #${ i + 1 } roundtrip`
-				);
-
-				// Keep test data clean
-				assert.true(
-					data.cases[ i ][ 1 ] !== input,
-					`case #${ i + 1 } should not specify output if it matches the input`
-				);
-			}
+QUnit.test( 'transformDeclarations', ( assert ) => {
+	assert.deepEqual(
+		cssjanus.transformDeclarations( {
+			marginLeft: 4,
+			paddingRight: '2px',
+			'border-left': '1px solid #000',
+			padding: '1px 2px 3px 4px',
+			WebkitTransform: 'translateX(4px)',
+			msTransform: 'translateX(4px)',
+			boxShadow: '1px 0 red',
+			right: null,
+			cursor: [ 'w-resize', 'pointer' ],
+			zIndex: 1,
+			':hover': { textAlign: 'left' },
+			'@media (min-width: 40em)': { float: 'left' }
+		} ),
+		{
+			marginRight: 4,
+			paddingLeft: '2px',
+			'border-right': '1px solid #000',
+			padding: '1px 4px 3px 2px',
+			WebkitTransform: 'translateX(-4px)',
+			msTransform: 'translateX(-4px)',
+			boxShadow: '-1px 0 red',
+			left: null,
+			cursor: [ 'e-resize', 'pointer' ],
+			zIndex: 1,
+			':hover': { textAlign: 'right' },
+			'@media (min-width: 40em)': { float: 'right' }
 		}
+	);
+	assert.deepEqual(
+		cssjanus.transformDeclarations( { marginLeft: 4 }, { targetWritingMode: 'tb-rl' } ),
+		{ marginTop: 4 },
+		'options'
+	);
+	assert.deepEqual(
+		cssjanus.transformDeclarations( { translate: 5, rotate: 10.5, transform: 0, backgroundPositionX: 0, zIndex: [ 1, 'auto' ] } ),
+		{ translate: -5, rotate: -10.5, transform: 0, backgroundPositionX: '100%', zIndex: [ 1, 'auto' ] },
+		'numbers'
+	);
+} );
+
+QUnit.test( 'transformStyleAttribute', ( assert ) => {
+	[ 'regex', 'parser', 'single-pass' ].forEach( ( engine ) => {
+		assert.strictEqual(
+			cssjanus.transformStyleAttribute(
+				'margin-left: 4px; padding: 1px 2px 3px 4px',
+				{ engine }
+			),
+			'margin-right: 4px; padding: 1px 4px 3px 2px',
+			engine
+		);
+		assert.strictEqual(
+			cssjanus.transformStyleAttribute( 'float: left; /* @noflip */ clear: left;', { engine } ),
+			'float: right; /* @noflip */ clear: left;',
+			`${ engine } with @noflip`
+		);
 	} );
+} );
+
+QUnit.module( 'postcss plugin', () => {
+	const process = ( css, options ) => postcss( [ cssjanus.postcss( options ) ] ).process( css, { from: 'a.css' } );
+
+	const isStylesheet = ( css ) => {
+		try {
+			postcss.parse( css );
+			return true;
+		} catch ( e ) {
+			return false;
+		}
+	};
+
+	for ( const name in testData ) {
+		const data = testData[ name ];
+		const options = data.args ? {
+			transformDirInUrl: data.args[ 0 ],
+			transformEdgeInUrl: data.args[ 1 ]
+		} : data.options;
+		// Skip cases that aren't stylesheets, like a lone url() or an invalid declaration
+		const cases = data.cases.filter( ( testCase ) => isStylesheet( testCase[ 0 ] ) );
+		if ( !cases.length ) {
+			continue;
+		}
+
+		QUnit.test( name, ( assert ) => {
+			for ( let i = 0; i < cases.length; i++ ) {
+				const input = cases[ i ][ 0 ];
+				const output = cases[ i ][ 1 ] === undefined ? input : cases[ i ][ 1 ];
+
+				assert.equal( process( input, options ).css, output, `case #${ i + 1 }` );
+			}
+		} );
+	}
+
+	QUnit.test( 'nodes', ( assert ) => {
+		const result = process( '.a {\n\tmargin-left: 1px;\n\tfloat: left /* start */ !important;\n}' );
+		assert.equal(
+			result.css,
+			'.a {\n\tmargin-right: 1px;\n\tfloat: right /* start */ !important;\n}',
+			'comments in values are kept'
+		);
+		assert.deepEqual(
+			result.root.first.nodes.map( ( decl ) => [
+				decl.prop,
+				decl.source.start.line,
+				decl.source.start.column
+			] ),
+			[ [ 'margin-right', 2, 2 ], [ 'float', 3, 2 ] ],
+			'source positions are kept'
+		);
+		assert.equal( cssjanus.postcss.postcss, true, 'plugin creator' );
+		assert.equal( cssjanus.postcss().postcssPlugin, 'cssjanus', 'plugin name' );
+	} );
+
+	QUnit.test( 'bidi option', ( assert ) => {
+		const css = `.a {
+	color: red;
+	margin-left: 1px;
+	/* @noflip */ float: left;
+}
+.b { left: 0; }
+@keyframes c { from { left: 0; } }
+`;
+		assert.equal( process( css, { bidi: true } ).css, `.a {
+	color: red;
+	/* @noflip */ float: left;
 }
+:where([dir="ltr"]) .a {
+	margin-left: 1px;
+}
+:where([dir="rtl"]) .a {
+	margin-right: 1px;
+}
+:where([dir="ltr"]) .b { left: 0; }
+:where([dir="rtl"]) .b { right: 0; }
+@keyframes c { from { left: 0; } }
+` );
+		assert.equal(
+			process( '.a { float: left; /* c */ }', { bidi: true } ).css,
+			'.a { /* c */ }\n:where([dir="ltr"]) .a { float: left; }\n:where([dir="rtl"]) .a { float: right; }',
+			'comments are kept in the rule'
+		);
+		assert.equal(
+			process( '.a { /* @rtl: margin-left: 2px */ margin-left: 1px }', { bidi: true } ).css,
+			'.a { /* @rtl: margin-left: 2px */ }\n:where([dir="ltr"]) .a { margin-left: 1px }\n:where([dir="rtl"]) .a { margin-left: 2px }',
+			'@rtl comments are kept in the rule'
+		);
+		assert.equal(
+			process( '.a {\n\tmargin-left: 1px;\n\tcolor: red;\n\tmargin: 0;\n}\n.b { left: 0; inset: 1px; }', { bidi: true } ).css,
+			'.a {\n\tcolor: red;\n\tmargin: 0;\n}\n' +
+				':where([dir="ltr"]) .a {\n\tmargin-left: 1px;\n\tmargin: 0;\n}\n' +
+				':where([dir="rtl"]) .a {\n\tmargin-right: 1px;\n\tmargin: 0;\n}\n' +
+				'.b { inset: 1px; }\n:where([dir="ltr"]) .b { left: 0; inset: 1px; }\n:where([dir="rtl"]) .b { right: 0; inset: 1px; }',
+			'later declarations that may override scoped ones are copied, in order'
+		);
+		assert.equal(
+			process( '.a { left: 0; }', { bidi: true, dirSelector: 'pseudo-class' } ).css,
+			'.a:where(:dir(ltr)) { left: 0; }\n.a:where(:dir(rtl)) { right: 0; }',
+			'dirSelector option'
+		);
+	} );
+} );
+
+QUnit.module( 'browser', () => {
+	const css = `/* @noflip */ .a { float: left; }
+.b { margin: 1px 2px 3px 4px; float: left; }
+@media (min-width: 40em) { .c { padding-left: 1px; } }
+@keyframes d { from { left: 0; } }`;
+
+	const createDocument = () => {
+		const document = new JSDOM( `<style>${ css }</style>` ).window.document;
+		return { document, style: document.querySelector( 'style' ) };
+	};
+	const getRules = ( sheet ) => Array.from( sheet.cssRules, ( rule ) => rule.cssText );
+
+	QUnit.test( 'flipStyles', ( assert ) => {
+		const { document, style } = createDocument();
+		let restore = cssjanus.flipStyles( style );
+		assert.strictEqual( style.textContent, cssjanus.transform( css ), 'style element' );
+		assert.strictEqual( style.sheet.cssRules[ 0 ].style.float, 'left', '@noflip in style element' );
+		restore();
+		assert.strictEqual( style.textContent, css, 'restore style element' );
+
+		const sheet = style.sheet;
+		const rule = sheet.cssRules[ 1 ];
+		const before = getRules( sheet );
+		restore = cssjanus.flipStyles( sheet );
+		assert.strictEqual( sheet.cssRules[ 1 ], rule, 'rules are kept' );
+		assert.deepEqual( getRules( sheet ), [
+			'.a {float: right;}',
+			'.b {margin: 1px 4px 3px 2px; float: right;}',
+			'@media (min-width: 40em) {.c {padding-right: 1px;}}',
+			'@keyframes d { \n  from {right: 0;} \n}'
+		], 'stylesheet' );
+		restore();
+		assert.deepEqual( getRules( sheet ), before, 'restore stylesheet' );
+
+		restore = cssjanus.flipStyles( rule, { disableRules: [ 'four-notation' ] } );
+		assert.strictEqual( rule.cssText, '.b {margin: 1px 2px 3px 4px; float: right;}', 'rule with options' );
+		restore();
+		assert.strictEqual( rule.cssText, '.b {margin: 1px 2px 3px 4px; float: left;}', 'restore rule' );
+
+		assert.throws(
+			() => cssjanus.flipStyles( document.createElement( 'link' ) ),
+			/not available/,
+			'link element without a stylesheet'
+		);
+	} );
+
+	QUnit.test( 'cloneStyleSheet', ( assert ) => {
+		const { style } = createDocument();
+		const before = getRules( style.sheet );
+		let clone = cssjanus.cloneStyleSheet( style );
+		assert.deepEqual( getRules( clone ), [
+			'.a {float: left;}',
+			'.b {margin: 1px 4px 3px 2px; float: right;}',
+			'@media (min-width: 40em) {.c {padding-right: 1px;}}',
+			'@keyframes d { \n  from {right: 0;} \n}'
+		], 'style element, with @noflip' );
+
+		clone = cssjanus.cloneStyleSheet( style.sheet );
+		assert.notStrictEqual( clone, style.sheet, 'new stylesheet' );
+		assert.strictEqual( clone.cssRules[ 0 ].cssText, '.a {float: right;}', 'stylesheet' );
+		assert.deepEqual( getRules( style.sheet ), before, 'the original is kept' );
+
+		style.textContent = '.a { float: left; } @unknown x { .b { left: 0; } } .c { left: 0; }';
+		assert.deepEqual(
+			getRules( cssjanus.cloneStyleSheet( style ) ),
+			[ '.a {float: right;}', '.c {right: 0;}' ],
+			'rules that the browser rejects are skipped'
+		);
+	} );
+} );
+
+QUnit.test( 'createTransformStream', async ( assert ) => {
+	const transformStream = async ( chunks, options ) => {
+		const stream = cssjanus.createTransformStream( options );
+		const output = ( async () => {
+			let result = '';
+			for await ( const chunk of stream ) {
+				result += chunk;
+			}
+			return result;
+		} )();
+		for ( const chunk of chunks ) {
+			stream.write( chunk );
+		}
+		stream.end();
+		return output;
+	};
+	// All test cases in one stylesheet. @flip-only comments apply to all of it, see below.
+	const css = Object.keys( testData ).filter( ( name ) => !/@flip-only/.test( name ) ).map(
+		( name ) => testData[ name ].cases.map( ( data ) => data[ 0 ] ).join( '\n' )
+	).join( '\n' ) + '\n.a::before { content: "→"; margin-left: 0; }';
+	const bytes = Buffer.from( css );
+	const byteChunks = [];
+	for ( let i = 0; i < bytes.length; i += 7 ) {
+		byteChunks.push( bytes.slice( i, i + 7 ) );
+	}
+
+	assert.strictEqual(
+		await transformStream( [ css ] ),
+		cssjanus.transform( css, {} ),
+		'one chunk'
+	);
+	assert.strictEqual(
+		await transformStream( byteChunks, { chunkSize: 1 } ),
+		cssjanus.transform( css, {} ),
+		'small chunks of bytes'
+	);
+	assert.strictEqual(
+		await transformStream( css.match( /[^]{1,50}/g ), { chunkSize: 100, engine: 'parser', transformDirInUrl: true } ),
+		cssjanus.transform( css, { engine: 'parser', transformDirInUrl: true } ),
+		'options'
+	);
+	assert.strictEqual(
+		await transformStream( [ '/* @noflip */ .a { float: left; }', ' .b { float: left; }', ' /* @noflip', ' */ .c', ' { float: left; }' ], { chunkSize: 1 } ),
+		'/* @noflip */ .a { float: left; } .b { float: right; } /* @noflip */ .c { float: left; }',
+		'@noflip across chunks'
+	);
+	assert.strictEqual(
+		await transformStream( [ '/* @noflip-start */ .a { float: left; }', ' .b { float: left; }', ' /* @noflip-end */ .c { float: left; }' ], { chunkSize: 1 } ),
+		'/* @noflip-start */ .a { float: left; } .b { float: left; } /* @noflip-end */ .c { float: right; }',
+		'@noflip-start range across chunks'
+	);
+	const flipOnly = [ '.a { float: left; }', ' /* @flip-only */ .b { float: left; }', ' .c { float: left; }' ];
+	assert.strictEqual(
+		await transformStream( flipOnly ),
+		cssjanus.transform( flipOnly.join( '' ), {} ),
+		'@flip-only before any part is transformed'
+	);
+	assert.strictEqual(
+		await transformStream( flipOnly.slice( 1 ), { chunkSize: 1 } ),
+		' /* @flip-only */ .b { float: right; } .c { float: left; }',
+		'@flip-only in the first part'
+	);
+	await assert.rejects(
+		transformStream( [ '.a { float: left; } ', '/* @flip-only */ .b { float: left; }' ], { chunkSize: 1 } ),
+		/@flip-only/,
+		'@flip-only after a part is transformed'
+	);
+	await assert.rejects(
+		transformStream( [ '.a {}' ], { engine: 'unknown' } ),
+		/Unknown engine/,
+		'error'
+	);
+} );
+
+const removeDir = ( dir ) => {
+	for ( const entry of fs.readdirSync( dir, { withFileTypes: true } ) ) {
+		const file = path.join( dir, entry.name );
+		if ( entry.isDirectory() ) {
+			removeDir( file );
+		} else {
+			fs.unlinkSync( file );
+		}
+	}
+	fs.rmdirSync( dir );
+};
+
+QUnit.test( 'cli', ( assert ) => {
+	const bin = path.join( __dirname, '../bin/cssjanus.js' );
+	const dir = fs.mkdtempSync( path.join( os.tmpdir(), 'cssjanus-' ) );
+	const cli = ( args, input ) => childProcess.spawnSync( process.execPath, [ bin, ...args ], {
+		cwd: dir,
+		input,
+		encoding: 'utf8'
+	} );
+
+	try {
+		fs.mkdirSync( path.join( dir, 'css/sub' ), { recursive: true } );
+		fs.writeFileSync( path.join( dir, 'css/a.css' ), '.a { float: left; background: url(left.png); }' );
+		fs.writeFileSync( path.join( dir, 'css/sub/b.css' ), '.b { margin-left: 1px; }' );
+
+		assert.strictEqual( cli( [], '.a { float: left; }' ).stdout, '.a { float: right; }', 'stdin' );
+		let result = cli( [ '--check', 'css' ] );
+		assert.deepEqual(
+			[ result.status, result.stderr ],
+			[ 1, `${ path.normalize( 'css/a.rtl.css' ) } is missing\n${ path.normalize( 'css/sub/b.rtl.css' ) } is missing\n` ],
+			'--check with missing outputs'
+		);
+
+		assert.strictEqual( cli( [ 'css' ] ).status, 0, 'directory' );
+		assert.strictEqual(
+			fs.readFileSync( path.join( dir, 'css/a.rtl.css' ), 'utf8' ),
+			'.a { float: right; background: url(left.png); }',
+			'output next to the input'
+		);
+		assert.strictEqual( cli( [ '--check', 'css/**/*.css' ] ).status, 0, '--check with a glob, ignoring outputs' );
+		fs.writeFileSync( path.join( dir, 'css/a.rtl.css' ), '.a { float: left; }' );
+		result = cli( [ '--check', 'css' ] );
+		assert.deepEqual(
+			[ result.status, result.stderr ],
+			[ 1, `${ path.normalize( 'css/a.rtl.css' ) } is out of date\n` ],
+			'--check with outdated outputs'
+		);
+		assert.strictEqual(
+			fs.readFileSync( path.join( dir, 'css/a.rtl.css' ), 'utf8' ),
+			'.a { float: left; }',
+			'--check doesn\'t write'
+		);
+
+		assert.strictEqual( cli( [ '--edge-in-url', '-o', 'out', '--name', '[name]-rtl[ext]', 'css/**/*.css' ] ).status, 0, 'options' );
+		assert.strictEqual(
+			fs.readFileSync( path.join( dir, 'out/a-rtl.css' ), 'utf8' ),
+			'.a { float: right; background: url(right.png); }',
+			'--out-dir, --name and --edge-in-url'
+		);
+		assert.strictEqual(
+			fs.readFileSync( path.join( dir, 'out/sub/b-rtl.css' ), 'utf8' ),
+			'.b { margin-right: 1px; }',
+			'--out-dir keeps relative paths'
+		);
+		assert.strictEqual(
+			cli( [ '--check', '-o', 'out', 'css' ] ).status,
+			1,
+			'--check with outputs missing from the output directory'
+		);
+
+		result = cli( [ '--lint' ], '.a {\n\tpadding: 1px var(--x);\n}' );
+		assert.deepEqual(
+			[ result.status, result.stdout ],
+			[ 1, '<stdin>:2:2: The value uses var(), which may hide values that need to be flipped (var)\n' ],
+			'--lint'
+		);
+		result = cli( [ '--lint', 'css/a.css' ] );
+		assert.deepEqual( [ result.status, result.stdout ], [ 0, '' ], '--lint without problems' );
+
+		assert.strictEqual( cli( [ 'missing.css' ] ).status, 1, 'missing input' );
+		assert.strictEqual( cli( [ '--unknown' ] ).status, 2, 'unknown option' );
+	} finally {
+		removeDir( dir );
+	}
+} );
+
+QUnit.test( 'cli --watch', async ( assert ) => {
+	const bin = path.join( __dirname, '../bin/cssjanus.js' );
+	const dir = fs.mkdtempSync( path.join( os.tmpdir(), 'cssjanus-' ) );
+	const read = ( file ) => fs.readFileSync( path.join( dir, file ), 'utf8' );
+	let stderr = '';
+
+	fs.mkdirSync( path.join( dir, 'css' ) );
+	fs.writeFileSync( path.join( dir, 'css/a.css' ), '.a { float: left; }' );
+	const child = childProcess.spawn( process.execPath, [ bin, '--watch', 'css' ], { cwd: dir } );
+	const exited = new Promise( ( resolve ) => {
+		child.on( 'exit', resolve );
+	} );
+	child.stderr.setEncoding( 'utf8' );
+	child.stderr.on( 'data', ( chunk ) => {
+		stderr += chunk;
+	} );
+	// Wait until the output has a line a given number of times
+	const waitFor = ( line, count ) => new Promise( ( resolve, reject ) => {
+		let timer = null;
+		const check = () => {
+			if ( stderr.split( '\n' ).filter( ( other ) => other === line ).length >= count ) {
+				clearTimeout( timer );
+				child.stderr.off( 'data', check );
+				resolve();
+			}
+		};
+		timer = setTimeout( () => {
+			child.stderr.off( 'data', check );
+			reject( new Error( `No "${ line }" in: ${ stderr }` ) );
+		}, 5000 );
+		child.stderr.on( 'data', check );
+		check();
+	} );
+	const a = `${ path.normalize( 'css/a.css' ) } → ${ path.normalize( 'css/a.rtl.css' ) }`;
+
+	try {
+		await waitFor( 'Watching 1 directory…', 1 );
+		assert.strictEqual( read( 'css/a.rtl.css' ), '.a { float: right; }', 'transform at the start' );
+
+		fs.writeFileSync( path.join( dir, 'css/a.css' ), '.a { float: right; }' );
+		await waitFor( a, 2 );
+		assert.strictEqual( read( 'css/a.rtl.css' ), '.a { float: left; }', 'transform a changed file' );
+
+		fs.mkdirSync( path.join( dir, 'css/sub' ) );
+		fs.writeFileSync( path.join( dir, 'css/sub/b.css' ), '.b { margin-left: 1px; }' );
+		await waitFor( `${ path.normalize( 'css/sub/b.css' ) } → ${ path.normalize( 'css/sub/b.rtl.css' ) }`, 1 );
+		assert.strictEqual( read( 'css/sub/b.rtl.css' ), '.b { margin-right: 1px; }', 'transform a file in a new directory' );
+		assert.strictEqual( stderr.split( '\n' ).filter( ( line ) => line === a ).length, 2, 'outputs are not transformed' );
+	} finally {
+		child.kill();
+		await exited;
+		removeDir( dir );
+	}
+} );